@@ -0,0 +1,15 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Calendar Events API
+ *
+ * Returns ready-to-render calendar events (schedule row, workout summary,
+ * rest-day flag, notes and planned/in_progress/completed/missed status) in
+ * one call, instead of fetching schedules, workouts and sessions separately.
+ *
+ * GET /api/periolifts/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD&plan=<plan id>
+ */
+
+routerAdd("GET", "/api/periolifts/calendar", (e) => {
+  return require(`${__hooks}/lib/calendar_events.js`).handleCalendar(e);
+}, $apis.requireAuth("users"));
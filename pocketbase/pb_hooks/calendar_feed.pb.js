@@ -0,0 +1,21 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Calendar Feed
+ *
+ * GET    /api/periolifts/calendar/{token}.ics  iCalendar feed (no auth header, the token is the secret)
+ * POST   /api/periolifts/calendar/token        issue a new feed token, revoking the old URL
+ * DELETE /api/periolifts/calendar/token        revoke the feed URL
+ */
+
+routerAdd("GET", "/api/periolifts/calendar/{file}", (e) => {
+  return require(`${__hooks}/lib/calendar_feed.js`).handleFeed(e);
+});
+
+routerAdd("POST", "/api/periolifts/calendar/token", (e) => {
+  return require(`${__hooks}/lib/calendar_feed.js`).handleRotateToken(e);
+}, $apis.requireAuth("users"));
+
+routerAdd("DELETE", "/api/periolifts/calendar/token", (e) => {
+  return require(`${__hooks}/lib/calendar_feed.js`).handleRevokeToken(e);
+}, $apis.requireAuth("users"));
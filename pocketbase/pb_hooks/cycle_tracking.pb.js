@@ -0,0 +1,34 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Cycle Tracking
+ *
+ * Any change to cycle_logs recomputes the owner's
+ * user_preferences.average_cycle_length and current_cycle_phase. An hourly
+ * cron keeps the phase current as each user's local day (user_preferences
+ * timezone) rolls over.
+ */
+
+onRecordCreateRequest((e) => {
+  require(`${__hooks}/lib/cycle_tracking.js`).validateRequest(e);
+}, "cycle_logs");
+
+onRecordUpdateRequest((e) => {
+  require(`${__hooks}/lib/cycle_tracking.js`).validateRequest(e);
+}, "cycle_logs");
+
+onRecordCreate((e) => {
+  require(`${__hooks}/lib/cycle_tracking.js`).handleLogChange(e, false);
+}, "cycle_logs");
+
+onRecordUpdate((e) => {
+  require(`${__hooks}/lib/cycle_tracking.js`).handleLogChange(e, false);
+}, "cycle_logs");
+
+onRecordDelete((e) => {
+  require(`${__hooks}/lib/cycle_tracking.js`).handleLogChange(e, true);
+}, "cycle_logs");
+
+cronAdd("updateCyclePhases", "5 * * * *", () => {
+  require(`${__hooks}/lib/cycle_tracking.js`).recomputeAll($app);
+});
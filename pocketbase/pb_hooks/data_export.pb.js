@@ -0,0 +1,15 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Account Data Export
+ *
+ * GET /api/periolifts/export?format=json|csv
+ *
+ * The caller's preferences, custom exercises, workouts, plans, schedules,
+ * sessions and history as a versioned JSON document, or as a zip of
+ * per-collection CSV files (see lib/data_export.js).
+ */
+
+routerAdd("GET", "/api/periolifts/export", (e) => {
+  return require(`${__hooks}/lib/data_export.js`).handleExport(e);
+}, $apis.requireAuth("users"));
@@ -0,0 +1,15 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Account Data Import
+ *
+ * POST /api/periolifts/import?dryRun=true|false
+ *
+ * Imports a document from GET /api/periolifts/export for the caller, with new
+ * ids and remapped references. `dryRun=true` only reports what would be
+ * created, merged or rejected (see lib/data_import.js).
+ */
+
+routerAdd("POST", "/api/periolifts/import", (e) => {
+  return require(`${__hooks}/lib/data_import.js`).handleImport(e);
+}, $apis.requireAuth("users"));
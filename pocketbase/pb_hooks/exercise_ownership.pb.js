@@ -0,0 +1,19 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Exercise Ownership
+ *
+ * Exercises created by regular users are stamped with `owner` and
+ * `is_custom = true`, so the shared library can't be written through the
+ * public API. Superusers promote custom exercises into the library with:
+ *
+ * POST /api/periolifts/exercises/{id}/promote
+ */
+
+onRecordCreateRequest((e) => {
+  require(`${__hooks}/lib/exercise_ownership.js`).assignOwner(e);
+}, "exercises");
+
+routerAdd("POST", "/api/periolifts/exercises/{id}/promote", (e) => {
+  return require(`${__hooks}/lib/exercise_ownership.js`).handlePromote(e);
+}, $apis.requireSuperuserAuth());
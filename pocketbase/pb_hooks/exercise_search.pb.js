@@ -0,0 +1,30 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Exercise Search
+ *
+ * Keeps the exercises_fts FTS5 table in sync with the exercises collection
+ * (inside the same transaction as the record write) and serves ranked,
+ * highlighted search results for the exercise picker.
+ *
+ * GET /api/periolifts/exercises/search?q=<text>&limit=<n>
+ */
+
+onRecordCreate((e) => {
+  e.next();
+  require(`${__hooks}/lib/exercise_search.js`).indexExercise(e.app, e.record);
+}, "exercises");
+
+onRecordUpdate((e) => {
+  e.next();
+  require(`${__hooks}/lib/exercise_search.js`).indexExercise(e.app, e.record);
+}, "exercises");
+
+onRecordDelete((e) => {
+  e.next();
+  require(`${__hooks}/lib/exercise_search.js`).removeExercise(e.app, e.record.id);
+}, "exercises");
+
+routerAdd("GET", "/api/periolifts/exercises/search", (e) => {
+  return require(`${__hooks}/lib/exercise_search.js`).handleSearch(e);
+});
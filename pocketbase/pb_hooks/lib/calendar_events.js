@@ -0,0 +1,160 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Calendar events for a date range, resolved in a single query.
+ *
+ * Each workout_plan_schedules row is joined with its plan and workout and
+ * with the user's session for that workout on that day (a completed session
+ * wins over an unfinished one). The status is derived from that session:
+ *
+ * - completed: a completed session exists
+ * - in_progress: an unfinished session exists
+ * - missed: no session and the date is before today (never for rest days)
+ * - planned: everything else
+ *
+ * Without a `plan` parameter only active plans are included, like the
+ * calendar screen. The date range filter uses idx_plan_date when a plan is
+ * given and idx_date_range otherwise.
+ */
+
+const params = require(`${__hooks}/lib/request_params.js`);
+const dates = require(`${__hooks}/lib/dates.js`);
+
+const MAX_RANGE_DAYS = 366;
+
+const STATUS = {
+  planned: "planned",
+  inProgress: "in_progress",
+  completed: "completed",
+  missed: "missed",
+};
+
+function loadEvents(app, bindings, planFilter) {
+  const rows = arrayOf(new DynamicModel({
+    id: "",
+    plan_id: "",
+    plan_name: "",
+    workout_id: "",
+    scheduled_date: "",
+    day_of_week: "",
+    sort_order: 0,
+    is_rest_day: false,
+    notes: "",
+    workout_name: "",
+    workout_description: "",
+    estimated_duration: 0,
+    exercise_count: 0,
+    session_id: "",
+    session_completed: false,
+    completed_at: "",
+  }));
+
+  app.db().newQuery(`
+    WITH events AS (
+      SELECT
+        s.*,
+        p.name AS plan_name,
+        (
+          SELECT ws.id FROM workout_sessions ws
+          WHERE ws.user_id = p.user_id
+            AND ws.workout_id = s.workout_id
+            AND date(COALESCE(NULLIF(ws.completed_at, ''), ws.started_at)) = date(s.scheduled_date)
+          ORDER BY ws.is_completed DESC, ws.updated DESC
+          LIMIT 1
+        ) AS session_id
+      FROM workout_plan_schedules s
+      JOIN workout_plans p ON p.id = s.plan_id
+      WHERE p.user_id = {:user}
+        AND ${planFilter}
+        AND s.scheduled_date >= {:lower}
+        AND s.scheduled_date < {:upper}
+    )
+    SELECT
+      ev.id,
+      ev.plan_id,
+      COALESCE(ev.plan_name, '') AS plan_name,
+      ev.workout_id,
+      date(ev.scheduled_date) AS scheduled_date,
+      ev.day_of_week,
+      COALESCE(ev.sort_order, 0) AS sort_order,
+      ev.is_rest_day,
+      COALESCE(ev.notes, '') AS notes,
+      COALESCE(w.name, '') AS workout_name,
+      COALESCE(w.description, '') AS workout_description,
+      COALESCE(w.estimated_duration, 0) AS estimated_duration,
+      CASE WHEN json_valid(w.exercises) THEN json_array_length(w.exercises) ELSE 0 END AS exercise_count,
+      COALESCE(ev.session_id, '') AS session_id,
+      COALESCE(ws.is_completed, FALSE) AS session_completed,
+      COALESCE(ws.completed_at, '') AS completed_at
+    FROM events ev
+    LEFT JOIN workouts w ON w.id = ev.workout_id
+    LEFT JOIN workout_sessions ws ON ws.id = ev.session_id
+    ORDER BY ev.scheduled_date, ev.sort_order
+  `).bind(bindings).all(rows);
+
+  return rows;
+}
+
+function eventStatus(row, today) {
+  if (row.session_id) {
+    return row.session_completed ? STATUS.completed : STATUS.inProgress;
+  }
+  if (!row.is_rest_day && row.scheduled_date < today) {
+    return STATUS.missed;
+  }
+  return STATUS.planned;
+}
+
+/**
+ * Route handler for GET /api/periolifts/calendar?from=&to=&plan=.
+ */
+function handleCalendar(e) {
+  const range = params.readDateRange(e, 31, MAX_RANGE_DAYS);
+  const planId = (e.request.url.query().get("plan") || "").trim();
+
+  const bindings = {
+    user: e.auth.id,
+    lower: range.lower,
+    upper: range.upper,
+  };
+  let planFilter = "p.is_active = TRUE";
+  if (planId) {
+    bindings.plan = planId;
+    planFilter = "s.plan_id = {:plan}";
+  }
+
+  const today = dates.today();
+  const events = loadEvents(e.app, bindings, planFilter).map((row) => ({
+    id: row.id,
+    plan_id: row.plan_id,
+    plan_name: row.plan_name,
+    workout_id: row.workout_id,
+    scheduled_date: row.scheduled_date,
+    day_of_week: row.day_of_week,
+    sort_order: row.sort_order,
+    is_rest_day: row.is_rest_day,
+    notes: row.notes,
+    status: eventStatus(row, today),
+    session_id: row.session_id || null,
+    completed_at: row.completed_at || null,
+    workout: row.workout_name ? {
+      id: row.workout_id,
+      name: row.workout_name,
+      description: row.workout_description,
+      estimated_duration: row.estimated_duration,
+      exercise_count: row.exercise_count,
+    } : null,
+  }));
+
+  return e.json(200, {
+    from: range.from,
+    to: range.to,
+    plan: planId || null,
+    events: events,
+  });
+}
+
+module.exports = {
+  STATUS,
+  handleCalendar,
+};
@@ -0,0 +1,283 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * iCalendar (RFC 5545) feed of a user's planned workouts.
+ *
+ * Every workout_plan_schedules row of the user's plans becomes an all-day
+ * VEVENT. Rest days and rows with a completed session for the same workout
+ * on that day are marked in the summary and categories.
+ *
+ * The feed URL carries `user_preferences.calendar_token` instead of an auth
+ * header, so calendar apps can subscribe to it. Rotating the token revokes
+ * every previously shared URL.
+ */
+
+const dates = require(`${__hooks}/lib/dates.js`);
+
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 365;
+const TOKEN_LENGTH = 40;
+const TOKEN_PATTERN = /^[a-zA-Z0-9]+$/;
+const FEED_SUFFIX = ".ics";
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function utf8Length(char) {
+  const code = char.codePointAt(0);
+  if (code < 0x80) {
+    return 1;
+  }
+  if (code < 0x800) {
+    return 2;
+  }
+  return code < 0x10000 ? 3 : 4;
+}
+
+/**
+ * Folds a content line into 75-octet chunks (RFC 5545 section 3.1).
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = "";
+  let size = 0;
+
+  for (const char of line) {
+    const length = utf8Length(char);
+    if (size + length > 75) {
+      chunks.push(current);
+      current = " ";
+      size = 1;
+    }
+    current += char;
+    size += length;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n");
+}
+
+function icsDate(dateStr) {
+  return dateStr.replace(/-/g, "");
+}
+
+/**
+ * "2025-03-14 10:00:00.000Z" -> "20250314T100000Z"
+ */
+function icsDateTime(value) {
+  if (!value) {
+    value = new Date().toISOString().replace("T", " ");
+  }
+  return value.slice(0, 19).replace(/[-:]/g, "").replace(" ", "T") + "Z";
+}
+
+function loadRows(app, userId, lower, upper) {
+  const rows = arrayOf(new DynamicModel({
+    id: "",
+    date: "",
+    updated: "",
+    is_rest_day: false,
+    notes: "",
+    plan_name: "",
+    name: "",
+    description: "",
+    estimated_duration: 0,
+    completed: false,
+  }));
+
+  app.db().newQuery(`
+    SELECT
+      s.id,
+      date(s.scheduled_date) AS date,
+      s.updated,
+      s.is_rest_day,
+      COALESCE(s.notes, '') AS notes,
+      COALESCE(p.name, '') AS plan_name,
+      COALESCE(w.name, '') AS name,
+      COALESCE(w.description, '') AS description,
+      COALESCE(w.estimated_duration, 0) AS estimated_duration,
+      EXISTS (
+        SELECT 1 FROM workout_sessions ws
+        WHERE ws.user_id = p.user_id
+          AND ws.workout_id = s.workout_id
+          AND ws.is_completed = TRUE
+          AND date(ws.completed_at) = date(s.scheduled_date)
+      ) AS completed
+    FROM workout_plan_schedules s
+    JOIN workout_plans p ON p.id = s.plan_id
+    LEFT JOIN workouts w ON w.id = s.workout_id
+    WHERE p.user_id = {:user}
+      AND s.scheduled_date >= {:lower}
+      AND s.scheduled_date < {:upper}
+    ORDER BY s.scheduled_date, s.sort_order
+  `).bind({ user: userId, lower: lower, upper: upper }).all(rows);
+
+  return rows;
+}
+
+function eventLines(row) {
+  let summary = row.is_rest_day ? "Rest day" : (row.name || "Workout");
+  if (row.completed) {
+    summary = `✓ ${summary}`;
+  }
+
+  const details = [];
+  if (row.description) {
+    details.push(row.description);
+  }
+  if (!row.is_rest_day && row.estimated_duration > 0) {
+    details.push(`Estimated duration: ${row.estimated_duration} min`);
+  }
+  if (row.plan_name) {
+    details.push(`Plan: ${row.plan_name}`);
+  }
+  if (row.notes) {
+    details.push(row.notes);
+  }
+  if (row.completed) {
+    details.push("Completed");
+  }
+
+  const categories = [row.is_rest_day ? "Rest day" : "Workout"];
+  if (row.completed) {
+    categories.push("Completed");
+  }
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${row.id}@periolifts`,
+    `DTSTAMP:${icsDateTime(row.updated)}`,
+    `DTSTART;VALUE=DATE:${icsDate(row.date)}`,
+    `DTEND;VALUE=DATE:${icsDate(dates.addDays(row.date, 1))}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `CATEGORIES:${categories.map(escapeText).join(",")}`,
+    "TRANSP:TRANSPARENT",
+  ];
+  if (details.length > 0) {
+    lines.push(`DESCRIPTION:${escapeText(details.join("\n"))}`);
+  }
+  lines.push("END:VEVENT");
+
+  return lines;
+}
+
+/**
+ * Builds the VCALENDAR document for the user, covering FEED_PAST_DAYS
+ * before and FEED_FUTURE_DAYS after today.
+ */
+function buildCalendar(app, userId) {
+  const today = dates.today();
+  const rows = loadRows(
+    app,
+    userId,
+    dates.toDateTime(dates.addDays(today, -FEED_PAST_DAYS)),
+    dates.toDateTime(dates.addDays(today, FEED_FUTURE_DAYS + 1))
+  );
+
+  let lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//PerioLifts//Workout Schedule//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:PerioLifts Workouts",
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    "X-PUBLISHED-TTL:PT6H",
+  ];
+  for (const row of rows) {
+    lines = lines.concat(eventLines(row));
+  }
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+function findPreferencesByToken(app, token) {
+  if (token.length !== TOKEN_LENGTH || !TOKEN_PATTERN.test(token)) {
+    return null;
+  }
+
+  try {
+    return app.findFirstRecordByFilter("user_preferences", "calendar_token = {:token}", { token: token });
+  } catch (e) {
+    return null;
+  }
+}
+
+function findPreferences(app, userId) {
+  try {
+    return app.findFirstRecordByFilter("user_preferences", "user_id = {:user}", { user: userId });
+  } catch (e) {
+    return null;
+  }
+}
+
+function feedUrl(app, token) {
+  const base = app.settings().meta.appURL.replace(/\/+$/, "");
+  return `${base}/api/periolifts/calendar/${token}${FEED_SUFFIX}`;
+}
+
+/**
+ * Route handler for GET /api/periolifts/calendar/{file}, where file is
+ * `<token>.ics`. (Path wildcards must span a whole segment, so the suffix is
+ * stripped here rather than in the route pattern.)
+ */
+function handleFeed(e) {
+  const file = e.request.pathValue("file");
+  const token = file.endsWith(FEED_SUFFIX) ? file.slice(0, -FEED_SUFFIX.length) : "";
+
+  const preferences = findPreferencesByToken(e.app, token);
+  if (!preferences) {
+    throw new NotFoundError("Calendar feed not found.");
+  }
+
+  e.response.header().set("Content-Type", "text/calendar; charset=utf-8");
+  e.response.header().set("Content-Disposition", "inline; filename=\"periolifts.ics\"");
+  e.response.header().set("Cache-Control", "private, max-age=300");
+
+  return e.string(200, buildCalendar(e.app, preferences.getString("user_id")));
+}
+
+/**
+ * Route handler for POST /api/periolifts/calendar/token. Issues a new feed
+ * token (revoking the previous one) and returns `{ token, url }`.
+ */
+function handleRotateToken(e) {
+  let preferences = findPreferences(e.app, e.auth.id);
+  if (!preferences) {
+    preferences = new Record(e.app.findCollectionByNameOrId("user_preferences"));
+    preferences.set("user_id", e.auth.id);
+  }
+
+  const token = $security.randomString(TOKEN_LENGTH);
+  preferences.set("calendar_token", token);
+  e.app.save(preferences);
+
+  return e.json(200, { token: token, url: feedUrl(e.app, token) });
+}
+
+/**
+ * Route handler for DELETE /api/periolifts/calendar/token. Revokes the
+ * current feed URL.
+ */
+function handleRevokeToken(e) {
+  const preferences = findPreferences(e.app, e.auth.id);
+  if (preferences && preferences.getString("calendar_token")) {
+    preferences.set("calendar_token", "");
+    e.app.save(preferences);
+  }
+
+  return e.noContent(204);
+}
+
+module.exports = {
+  buildCalendar,
+  handleFeed,
+  handleRotateToken,
+  handleRevokeToken,
+};
@@ -0,0 +1,262 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Cycle length and phase derived from cycle_logs.
+ *
+ * - average_cycle_length: mean gap between the starts of the last
+ *   CYCLE_HISTORY cycles, ignoring implausible gaps (a missed log)
+ * - current_cycle_phase: from the day of the current cycle (the latest period
+ *   start up to today, in the user's timezone):
+ *   - menstrual: until the period's end_date, or the usual period length
+ *     while it is still open
+ *   - ovulation: the estimated ovulation day (cycle length - 14) +/- 1 day
+ *   - follicular: between the two
+ *   - luteal: after ovulation, also when the next period is late
+ *
+ * Phase values match the app's CyclePhase enum (menstrual, follicular,
+ * ovulation, luteal).
+ */
+
+const dates = require(`${__hooks}/lib/dates.js`);
+const exerciseData = require(`${__hooks}/lib/exercise_data.js`);
+
+const CYCLE_HISTORY = 6;
+const MIN_CYCLE_LENGTH = 15;
+const MAX_CYCLE_LENGTH = 60;
+const DEFAULT_CYCLE_LENGTH = 28;
+const DEFAULT_PERIOD_LENGTH = 5;
+const LUTEAL_LENGTH = 14;
+
+const PHASES = {
+  menstrual: "menstrual",
+  follicular: "follicular",
+  ovulation: "ovulation",
+  luteal: "luteal",
+};
+
+/**
+ * The user's logged periods as `[{ start, end }]` (YYYY-MM-DD, end may be
+ * ""), oldest first, that started on or before `onDate`.
+ */
+function loadPeriods(app, userId, onDate) {
+  const logs = app.findRecordsByFilter(
+    "cycle_logs",
+    "user_id = {:user} && start_date < {:upper}",
+    "-start_date",
+    CYCLE_HISTORY + 1,
+    0,
+    { user: userId, upper: dates.toDateTime(dates.addDays(onDate, 1)) }
+  );
+
+  return logs.reverse().map((log) => ({
+    start: dates.recordDate(log, "start_date"),
+    end: dates.recordDate(log, "end_date"),
+  }));
+}
+
+function averageCycleLength(periods) {
+  const gaps = [];
+  for (let i = 1; i < periods.length; i++) {
+    const gap = dates.daysBetween(periods[i - 1].start, periods[i].start);
+    if (gap >= MIN_CYCLE_LENGTH && gap <= MAX_CYCLE_LENGTH) {
+      gaps.push(gap);
+    }
+  }
+
+  if (gaps.length === 0) {
+    return null;
+  }
+
+  const mean = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+  return Math.round(mean * 10) / 10;
+}
+
+function averagePeriodLength(periods) {
+  const lengths = periods
+    .filter((period) => period.end)
+    .map((period) => dates.daysBetween(period.start, period.end) + 1);
+
+  if (lengths.length === 0) {
+    return DEFAULT_PERIOD_LENGTH;
+  }
+  return Math.round(lengths.reduce((sum, length) => sum + length, 0) / lengths.length);
+}
+
+function phaseForDay(cycleDay, cycleLength, periodLength) {
+  if (cycleDay <= periodLength) {
+    return PHASES.menstrual;
+  }
+
+  const ovulationDay = Math.max(Math.round(cycleLength) - LUTEAL_LENGTH, periodLength + 2);
+  if (cycleDay < ovulationDay - 1) {
+    return PHASES.follicular;
+  }
+  if (cycleDay <= ovulationDay + 1) {
+    return PHASES.ovulation;
+  }
+  return PHASES.luteal;
+}
+
+/**
+ * Cycle state on `onDate` from already loaded periods:
+ * `{ averageLength, cycleLength, cycleDay, phase }`.
+ *
+ * averageLength is null without enough history; cycleDay and phase are null
+ * without any period logged up to that date. `fallbackLength` (e.g. a value
+ * the user entered) is used for the phase when there is no history. With
+ * `predict`, dates past the expected next period are assumed to follow
+ * regular cycles instead of counting as a late period.
+ */
+function stateFromPeriods(periods, onDate, fallbackLength, predict) {
+  const averageLength = averageCycleLength(periods);
+  const cycleLength = averageLength || fallbackLength || DEFAULT_CYCLE_LENGTH;
+  const state = {
+    averageLength: averageLength,
+    cycleLength: cycleLength,
+    cycleDay: null,
+    phase: null,
+  };
+
+  const current = periods[periods.length - 1];
+  if (!current || onDate < current.start) {
+    return state;
+  }
+
+  let cycleDay = dates.daysBetween(current.start, onDate) + 1;
+  let periodLength = current.end
+    ? dates.daysBetween(current.start, current.end) + 1
+    : averagePeriodLength(periods);
+
+  const roundedLength = Math.round(cycleLength);
+  if (predict && cycleDay > roundedLength) {
+    cycleDay = ((cycleDay - 1) % roundedLength) + 1;
+    periodLength = averagePeriodLength(periods);
+  }
+
+  state.cycleDay = cycleDay;
+  state.phase = phaseForDay(cycleDay, cycleLength, periodLength);
+
+  return state;
+}
+
+/**
+ * Cycle state on `onDate` for the user (see stateFromPeriods).
+ */
+function cycleState(app, userId, onDate, fallbackLength) {
+  return stateFromPeriods(loadPeriods(app, userId, onDate), onDate, fallbackLength, false);
+}
+
+function findPreferences(app, userId) {
+  try {
+    return app.findFirstRecordByFilter("user_preferences", "user_id = {:user}", { user: userId });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Recomputes average_cycle_length and current_cycle_phase for the user,
+ * saving user_preferences only when a value changed. Missing preferences
+ * are created unless `existingOnly` is set.
+ */
+function recompute(app, userId, existingOnly) {
+  let preferences = findPreferences(app, userId);
+  if (!preferences) {
+    if (existingOnly) {
+      return;
+    }
+    preferences = new Record(app.findCollectionByNameOrId("user_preferences"));
+    preferences.set("user_id", userId);
+  }
+
+  const today = dates.localToday(preferences.getString("timezone"));
+  const state = cycleState(app, userId, today, preferences.getFloat("average_cycle_length"));
+
+  let changed = preferences.isNew();
+  if (state.averageLength !== null && state.averageLength !== preferences.getFloat("average_cycle_length")) {
+    preferences.set("average_cycle_length", state.averageLength);
+    changed = true;
+  }
+  const phase = state.phase || "";
+  if (phase !== preferences.getString("current_cycle_phase")) {
+    preferences.set("current_cycle_phase", phase);
+    changed = true;
+  }
+
+  if (changed) {
+    app.save(preferences);
+  }
+}
+
+/**
+ * Cron entry point: refreshes the phase of every user with cycle logs.
+ */
+function recomputeAll(app) {
+  const users = arrayOf(new DynamicModel({ user_id: "" }));
+  app.db().newQuery("SELECT DISTINCT user_id FROM cycle_logs").all(users);
+
+  for (const row of users) {
+    try {
+      recompute(app, row.user_id, false);
+    } catch (err) {
+      app.logger().error("Failed to update cycle phase", "user", row.user_id, "error", String(err));
+    }
+  }
+}
+
+/**
+ * Request hook for cycle_logs create/update: end_date can't be before
+ * start_date and symptoms must be a list of strings.
+ */
+function validateRequest(e) {
+  const log = e.record;
+  const errors = {};
+
+  const startDate = dates.recordDate(log, "start_date");
+  const endDate = dates.recordDate(log, "end_date");
+  if (startDate && endDate && endDate < startDate) {
+    errors.end_date = new ValidationError("invalid_range", "end_date must not be before start_date.");
+  }
+
+  const symptoms = exerciseData.readJSONField(log, "symptoms", []);
+  if (!Array.isArray(symptoms) || symptoms.some((symptom) => typeof symptom !== "string")) {
+    errors.symptoms = new ValidationError("invalid_symptoms", "Must be a list of strings.");
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new BadRequestError("Invalid cycle log.", errors);
+  }
+
+  e.next();
+}
+
+/**
+ * Model hook for cycle_logs create/update/delete: saves the change, then
+ * recomputes the owner's cycle stats in the same transaction. Deletes never
+ * create preferences, since they also run when the user is being deleted.
+ */
+function handleLogChange(e, isDelete) {
+  e.app.runInTransaction((txApp) => {
+    e.app = txApp;
+    e.next();
+
+    recompute(txApp, e.record.getString("user_id"), isDelete);
+
+    const previousUser = e.record.original().getString("user_id");
+    if (previousUser && previousUser !== e.record.getString("user_id")) {
+      recompute(txApp, previousUser, true);
+    }
+  });
+}
+
+module.exports = {
+  PHASES,
+  loadPeriods,
+  stateFromPeriods,
+  cycleState,
+  findPreferences,
+  recompute,
+  recomputeAll,
+  validateRequest,
+  handleLogChange,
+};
@@ -0,0 +1,262 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Account data export.
+ *
+ * Collects the caller's records into a versioned document:
+ *
+ *   {
+ *     "format": "periolifts-export",
+ *     "version": 1,
+ *     "exported_at": "2026-01-31T08:00:00.000Z",
+ *     "units": "metric",
+ *     "collections": { "workouts": [{ "id": "...", "name": "...", ... }], ... }
+ *   }
+ *
+ * Records keep their ids, which the other exported records refer to. The
+ * owner fields (`user_id`, `owner`) and hidden fields are left out.
+ * References that point outside the export are resolved before writing:
+ * shared library exercises become `{ "$ref": "exercises", "where": { "name":
+ * ..., "is_custom": false } }` (the seed fixture format, ids differ between
+ * servers) and references to records that are not exported become null.
+ * schedule_rules are not exported, so schedule rows leave out `rule_id`;
+ * imported rows are one-off entries no rule regenerates. Weights are in
+ * canonical units (kg, height in cm).
+ *
+ * `?format=csv` returns a zip with one CSV per collection (JSON values
+ * encoded as JSON) and the document header as manifest.json.
+ */
+
+const dates = require(`${__hooks}/lib/dates.js`);
+const exerciseData = require(`${__hooks}/lib/exercise_data.js`);
+const params = require(`${__hooks}/lib/request_params.js`);
+const zip = require(`${__hooks}/lib/zip.js`);
+
+const FORMAT = "periolifts-export";
+const VERSION = 1;
+const FORMATS = ["json", "csv"];
+
+// Exported collections in dependency order, with the filter selecting the
+// caller's records
+const COLLECTIONS = [
+  { name: "user_preferences", filter: "user_id = {:user}" },
+  { name: "exercises", filter: "is_custom = true && owner = {:user}" },
+  { name: "workouts", filter: "user_id = {:user}" },
+  { name: "workout_plans", filter: "user_id = {:user}" },
+  { name: "workout_plan_schedules", filter: "plan_id.user_id = {:user}" },
+  { name: "workout_sessions", filter: "user_id = {:user}" },
+  { name: "workout_history", filter: "user_id = {:user}" },
+];
+
+// Fields referring to another record, and the collection of that record
+const REFERENCES = {
+  workout_plan_schedules: { plan_id: "workout_plans", workout_id: "workouts" },
+  workout_sessions: { workout_id: "workouts" },
+  workout_history: { workout_session_id: "workout_sessions" },
+};
+
+// Keys inside JSON fields that hold exercise ids
+const EXERCISE_KEYS = ["exercise_id", "exerciseId"];
+
+const OWNER_FIELDS = ["user_id", "owner"];
+
+// Fields left out per collection (references to collections not exported)
+const OMITTED_FIELDS = {
+  workout_plan_schedules: ["rule_id"],
+};
+
+/**
+ * Exported fields of a collection, in schema order.
+ */
+function exportedFields(collection) {
+  const omitted = OMITTED_FIELDS[collection.name] || [];
+  const fields = [];
+  for (const field of collection.fields) {
+    if (field.getHidden() || field.type() === "password" || OWNER_FIELDS.includes(field.getName()) ||
+        omitted.includes(field.getName())) {
+      continue;
+    }
+    fields.push(field);
+  }
+  return fields;
+}
+
+function isMultiple(field) {
+  return typeof field.isMultiple === "function" && field.isMultiple();
+}
+
+function readValue(record, field) {
+  const name = field.getName();
+  switch (field.type()) {
+    case "number":
+      return record.getFloat(name);
+    case "bool":
+      return record.getBool(name);
+    case "json":
+      return exerciseData.readJSONField(record, name, null);
+    default:
+      return isMultiple(field) ? record.getStringSlice(name) : record.getString(name);
+  }
+}
+
+/**
+ * Resolves references to records outside the export, see the module comment.
+ */
+function createResolver(app, exported) {
+  const library = {};
+
+  function resolve(collectionName, id) {
+    if (!id || (exported[collectionName] && exported[collectionName].has(id))) {
+      return id || null;
+    }
+
+    if (collectionName === "exercises") {
+      if (library[id] === undefined) {
+        library[id] = null;
+        try {
+          const exercise = app.findRecordById("exercises", id);
+          if (!exercise.getBool("is_custom")) {
+            library[id] = { $ref: "exercises", where: { name: exercise.getString("name"), is_custom: false } };
+          }
+        } catch (err) {
+          // Deleted exercise
+        }
+      }
+      return library[id];
+    }
+
+    return null;
+  }
+
+  function resolveJSON(value) {
+    if (Array.isArray(value)) {
+      return value.map(resolveJSON);
+    }
+    if (!value || typeof value !== "object") {
+      return value;
+    }
+
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = EXERCISE_KEYS.includes(key) && typeof item === "string"
+        ? resolve("exercises", item)
+        : resolveJSON(item);
+    }
+    return resolved;
+  }
+
+  return { resolve, resolveJSON };
+}
+
+/**
+ * Builds the export document for `userId`.
+ */
+function buildExport(app, userId) {
+  const records = {};
+  const exported = {};
+
+  for (const entry of COLLECTIONS) {
+    records[entry.name] = app.findRecordsByFilter(entry.name, entry.filter, "created", 0, 0, { user: userId });
+    exported[entry.name] = new Set(records[entry.name].map((record) => record.id));
+  }
+
+  const resolver = createResolver(app, exported);
+  const collections = {};
+  const columns = {};
+
+  for (const entry of COLLECTIONS) {
+    const fields = exportedFields(app.findCollectionByNameOrId(entry.name));
+    const references = REFERENCES[entry.name] || {};
+    columns[entry.name] = fields.map((field) => field.getName());
+
+    collections[entry.name] = records[entry.name].map((record) => {
+      const row = {};
+      for (const field of fields) {
+        const name = field.getName();
+        const value = readValue(record, field);
+        if (references[name]) {
+          row[name] = Array.isArray(value)
+            ? value.map((id) => resolver.resolve(references[name], id)).filter((id) => id !== null)
+            : resolver.resolve(references[name], value);
+        } else if (field.type() === "json") {
+          row[name] = resolver.resolveJSON(value);
+        } else {
+          row[name] = value;
+        }
+      }
+      return row;
+    });
+  }
+
+  return {
+    document: {
+      format: FORMAT,
+      version: VERSION,
+      exported_at: new Date().toISOString(),
+      units: "metric",
+      collections: collections,
+    },
+    columns: columns,
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function toCSV(columns, rows) {
+  const lines = [columns.map(csvCell).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvCell(row[column])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Route handler for GET /api/periolifts/export?format=json|csv.
+ */
+function handleExport(e) {
+  const format = params.readEnumParam(e, "format", FORMATS, "json");
+  const result = buildExport(e.app, e.auth.id);
+  const document = result.document;
+  const baseName = `periolifts-export-${dates.today()}`;
+
+  e.response.header().set("Cache-Control", "no-store");
+
+  if (format === "json") {
+    e.response.header().set("Content-Disposition", `attachment; filename="${baseName}.json"`);
+    return e.json(200, document);
+  }
+
+  const manifest = {
+    format: document.format,
+    version: document.version,
+    exported_at: document.exported_at,
+    units: document.units,
+    files: {},
+  };
+  const files = [];
+  for (const entry of COLLECTIONS) {
+    manifest.files[entry.name] = `${entry.name}.csv`;
+    files.push({ name: `${entry.name}.csv`, content: toCSV(result.columns[entry.name], document.collections[entry.name]) });
+  }
+  files.unshift({ name: "manifest.json", content: JSON.stringify(manifest, null, 2) });
+
+  e.response.header().set("Content-Disposition", `attachment; filename="${baseName}.zip"`);
+  return e.blob(200, "application/zip", zip.createZip(files, new Date(document.exported_at)));
+}
+
+module.exports = {
+  FORMAT,
+  VERSION,
+  COLLECTIONS,
+  REFERENCES,
+  OMITTED_FIELDS,
+  EXERCISE_KEYS,
+  buildExport,
+  handleExport,
+};
@@ -0,0 +1,483 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Account data import.
+ *
+ * Takes a document produced by GET /api/periolifts/export (see
+ * lib/data_export.js) and creates its records for the caller. Every record
+ * gets a new id; references between imported records (`plan_id`,
+ * `workout_id`, `workout_session_id` and `exercise_id` inside the exercise
+ * JSON) are remapped to the new ids.
+ *
+ * Each record is reported as:
+ * - created
+ * - merged: user_preferences update the caller's existing preferences;
+ *   custom exercises (and shared library `$ref`s) use an exercise the caller
+ *   can already use with the same name, case-insensitively; history rows of
+ *   imported completed sessions update the row the session completion hook
+ *   wrote
+ * - rejected, with the reason: failed validation, or a required reference
+ *   (a schedule's plan or workout) that was not imported
+ *
+ * Each record is imported inside a savepoint: when it is rejected, whatever
+ * its save already wrote (e.g. the session completion hooks' history row and
+ * personal records) is rolled back with it. API errors thrown by hooks (e.g.
+ * a second session in progress) are reported with their message; anything
+ * else is logged and reported with a generic reason.
+ *
+ * Exercise references that are neither imported nor usable on this server
+ * are matched by the entry's `exercise_name`, and shared library exercises
+ * that do not exist here are created as custom exercises.
+ *
+ * Everything runs in one transaction. With `?dryRun=true` the transaction is
+ * rolled back after building the report, so it shows exactly what an import
+ * would do without writing anything.
+ */
+
+const dataExport = require(`${__hooks}/lib/data_export.js`);
+const exerciseValidation = require(`${__hooks}/lib/exercise_validation.js`);
+const params = require(`${__hooks}/lib/request_params.js`);
+
+const MAX_RECORDS = 20000;
+
+// References that must resolve for the record to be imported
+const REQUIRED_REFERENCES = {
+  workout_plan_schedules: ["plan_id", "workout_id"],
+};
+
+// JSON fields validated as exercise lists, like record requests
+const EXERCISE_LISTS = {
+  workouts: "exercises",
+  workout_sessions: "exercise_data",
+};
+
+const SKIPPED_FIELDS = ["id", "user_id", "owner"];
+
+function invalid(field, code, message) {
+  return new BadRequestError("Invalid import document.", {
+    [field]: new ValidationError(code, message),
+  });
+}
+
+/**
+ * Checks the document header and returns its collections.
+ */
+function readDocument(body) {
+  if (!body || body.format !== dataExport.FORMAT) {
+    throw invalid("format", "invalid_format", `Must be a "${dataExport.FORMAT}" document.`);
+  }
+  if (!Number.isInteger(body.version) || body.version < 1 || body.version > dataExport.VERSION) {
+    throw invalid("version", "unsupported_version", `Supported versions: 1 to ${dataExport.VERSION}.`);
+  }
+  if (body.units !== undefined && body.units !== "metric") {
+    throw invalid("units", "invalid_units", "Exports are written in metric units.");
+  }
+  if (!body.collections || typeof body.collections !== "object" || Array.isArray(body.collections)) {
+    throw invalid("collections", "invalid_collections", "Must be an object of record lists.");
+  }
+
+  let total = 0;
+  for (const entry of dataExport.COLLECTIONS) {
+    const rows = body.collections[entry.name];
+    if (rows === undefined || rows === null) {
+      continue;
+    }
+    if (!Array.isArray(rows) || rows.some((row) => !row || typeof row !== "object" || Array.isArray(row))) {
+      throw invalid("collections", "invalid_collections", `${entry.name} must be a list of records.`);
+    }
+    total += rows.length;
+  }
+  if (total > MAX_RECORDS) {
+    throw invalid("collections", "too_many_records", `An import can hold at most ${MAX_RECORDS} records.`);
+  }
+
+  return body.collections;
+}
+
+function nameKey(name) {
+  return typeof name === "string" ? name.trim().toLowerCase() : "";
+}
+
+/**
+ * Import state: the caller, old -> new ids per collection and the report.
+ */
+function createContext(app, userId) {
+  const context = {
+    app: app,
+    userId: userId,
+    ids: {},
+    exercisesById: {},
+    exercisesByName: {},
+    report: {},
+    rejected: [],
+    // Exercises remembered by the record being imported (see importRow)
+    undo: null,
+  };
+
+  for (const entry of dataExport.COLLECTIONS) {
+    context.ids[entry.name] = {};
+    context.report[entry.name] = { created: 0, merged: 0, rejected: 0 };
+  }
+
+  const usable = app.findRecordsByFilter("exercises", "is_custom = false || owner = {:user}", "", 0, 0, { user: userId });
+  for (const exercise of usable) {
+    rememberExercise(context, exercise);
+  }
+
+  return context;
+}
+
+function rememberExercise(context, exercise) {
+  const key = nameKey(exercise.getString("name"));
+  if (context.undo) {
+    context.undo.push({ id: exercise.id, key: key, previous: context.exercisesByName[key] });
+  }
+
+  context.exercisesById[exercise.id] = exercise;
+  // The caller's own exercise wins over a library one with the same name
+  if (!context.exercisesByName[key] || exercise.getBool("is_custom")) {
+    context.exercisesByName[key] = exercise;
+  }
+}
+
+function count(context, collectionName, outcome, row, reason) {
+  context.report[collectionName][outcome]++;
+  if (outcome === "rejected") {
+    context.rejected.push({
+      collection: collectionName,
+      id: typeof row.id === "string" ? row.id : null,
+      reason: reason,
+    });
+  }
+}
+
+/**
+ * Copies the exported values onto `record`: fields of the collection only,
+ * without ids, owners, hidden fields, autodates and `skip`.
+ */
+function assignFields(record, row, skip) {
+  for (const field of record.collection().fields) {
+    const name = field.getName();
+    if (row[name] === undefined || SKIPPED_FIELDS.includes(name) || (skip || []).includes(name) ||
+        field.getHidden() || field.type() === "autodate" || field.type() === "password") {
+      continue;
+    }
+    record.set(name, row[name]);
+  }
+}
+
+function createCustomExercise(context, row) {
+  const exercise = new Record(context.app.findCollectionByNameOrId("exercises"));
+  assignFields(exercise, row, ["is_custom"]);
+  exercise.set("is_custom", true);
+  exercise.set("owner", context.userId);
+  context.app.save(exercise);
+  rememberExercise(context, exercise);
+  return exercise;
+}
+
+/**
+ * New id of an exercise reference (an id or a `$ref`), or null.
+ * `name` is the name stored next to the reference.
+ */
+function resolveExercise(context, value, name) {
+  if (typeof value === "string" && value) {
+    if (context.ids.exercises[value]) {
+      return context.ids.exercises[value];
+    }
+    if (context.exercisesById[value]) {
+      return value;
+    }
+  }
+
+  if (value && typeof value === "object" && value.$ref === "exercises" && value.where) {
+    const match = context.exercisesByName[nameKey(value.where.name)];
+    if (match) {
+      return match.id;
+    }
+    if (typeof value.where.name === "string" && value.where.name.trim()) {
+      const created = createCustomExercise(context, { name: value.where.name.trim() });
+      count(context, "exercises", "created", {});
+      return created.id;
+    }
+  }
+
+  const match = context.exercisesByName[nameKey(name)];
+  return match ? match.id : null;
+}
+
+/**
+ * Copy of a JSON value with every exercise reference remapped.
+ */
+function remapExercises(context, value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => remapExercises(context, item));
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+
+  const name = value.exercise_name || value.exerciseName;
+  const remapped = {};
+  for (const [key, item] of Object.entries(value)) {
+    remapped[key] = dataExport.EXERCISE_KEYS.includes(key)
+      ? resolveExercise(context, item, name)
+      : remapExercises(context, item);
+  }
+  return remapped;
+}
+
+/**
+ * workout_plans.schedule (legacy) maps dates to lists of workout ids.
+ */
+function remapSchedule(context, schedule) {
+  if (!schedule || typeof schedule !== "object" || Array.isArray(schedule)) {
+    return schedule;
+  }
+
+  const remapped = {};
+  for (const [date, workoutIds] of Object.entries(schedule)) {
+    remapped[date] = Array.isArray(workoutIds)
+      ? workoutIds.map((id) => context.ids.workouts[id]).filter((id) => !!id)
+      : workoutIds;
+  }
+  return remapped;
+}
+
+/**
+ * The row with its references and exercise JSON remapped, or `{ missing }`
+ * with the first required reference that was not imported.
+ */
+function remapRow(context, collectionName, row) {
+  const data = Object.assign({}, row);
+  const references = dataExport.REFERENCES[collectionName] || {};
+  const required = REQUIRED_REFERENCES[collectionName] || [];
+
+  for (const field of dataExport.OMITTED_FIELDS[collectionName] || []) {
+    delete data[field];
+  }
+
+  for (const [field, target] of Object.entries(references)) {
+    const id = (context.ids[target] || {})[row[field]];
+    if (!id && required.includes(field)) {
+      return { missing: field };
+    }
+    data[field] = id || "";
+  }
+
+  for (const [field, value] of Object.entries(row)) {
+    if (value && typeof value === "object") {
+      data[field] = remapExercises(context, value);
+    }
+  }
+
+  if (collectionName === "workout_plans") {
+    data.schedule = remapSchedule(context, data.schedule);
+  }
+
+  return { data: data };
+}
+
+function importPreferences(context, row, index) {
+  if (index > 0) {
+    count(context, "user_preferences", "rejected", row, "Only one user_preferences record can be imported.");
+    return;
+  }
+
+  let preferences;
+  try {
+    preferences = context.app.findFirstRecordByFilter("user_preferences", "user_id = {:user}", { user: context.userId });
+  } catch (err) {
+    preferences = null;
+  }
+
+  const outcome = preferences ? "merged" : "created";
+  if (!preferences) {
+    preferences = new Record(context.app.findCollectionByNameOrId("user_preferences"));
+    preferences.set("user_id", context.userId);
+  }
+  assignFields(preferences, row);
+  context.app.save(preferences);
+
+  context.ids.user_preferences[row.id] = preferences.id;
+  count(context, "user_preferences", outcome, row);
+}
+
+function importExercise(context, row) {
+  const match = context.exercisesByName[nameKey(row.name)];
+  if (match) {
+    context.ids.exercises[row.id] = match.id;
+    count(context, "exercises", "merged", row);
+    return;
+  }
+
+  if (!nameKey(row.name)) {
+    count(context, "exercises", "rejected", row, "name is required.");
+    return;
+  }
+
+  context.ids.exercises[row.id] = createCustomExercise(context, row).id;
+  count(context, "exercises", "created", row);
+}
+
+function findHistoryForSession(app, sessionId) {
+  try {
+    return app.findFirstRecordByFilter("workout_history", "workout_session_id = {:session}", { session: sessionId });
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Creates one workout, plan, schedule, session or history record.
+ */
+function importRecord(context, collectionName, row) {
+  const remapped = remapRow(context, collectionName, row);
+  if (remapped.missing) {
+    count(context, collectionName, "rejected", row, `${remapped.missing} refers to a record that is not part of the import.`);
+    return;
+  }
+  const data = remapped.data;
+
+  const listField = EXERCISE_LISTS[collectionName];
+  if (listField) {
+    const error = exerciseValidation.validateExerciseList(context.app, data[listField], context.userId);
+    if (error) {
+      count(context, collectionName, "rejected", row, `${listField}: ${error.message}`);
+      return;
+    }
+  }
+
+  let record = null;
+  if (collectionName === "workout_history" && data.workout_session_id) {
+    record = findHistoryForSession(context.app, data.workout_session_id);
+  }
+
+  const outcome = record ? "merged" : "created";
+  if (!record) {
+    record = new Record(context.app.findCollectionByNameOrId(collectionName));
+  }
+  if (record.collection().fields.getByName("user_id")) {
+    record.set("user_id", context.userId);
+  }
+  assignFields(record, data);
+  context.app.save(record);
+
+  context.ids[collectionName][row.id] = record.id;
+  count(context, collectionName, outcome, row);
+}
+
+/**
+ * Sessions are created oldest first, so personal records are detected in
+ * training order.
+ */
+function orderRows(collectionName, rows) {
+  if (collectionName !== "workout_sessions") {
+    return rows;
+  }
+  const key = (row) => (typeof row.completed_at === "string" && row.completed_at) || "~";
+  return rows.slice().sort((a, b) => (key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0));
+}
+
+/**
+ * Imports one row inside a savepoint. A row that throws is rolled back, its
+ * exercises are forgotten again and it is reported as rejected.
+ */
+function importRow(context, collectionName, row, index) {
+  const db = context.app.db();
+  db.newQuery("SAVEPOINT import_row").execute();
+  context.undo = [];
+
+  try {
+    if (collectionName === "user_preferences") {
+      importPreferences(context, row, index);
+    } else if (collectionName === "exercises") {
+      importExercise(context, row);
+    } else {
+      importRecord(context, collectionName, row);
+    }
+    db.newQuery("RELEASE import_row").execute();
+  } catch (err) {
+    db.newQuery("ROLLBACK TO import_row").execute();
+    db.newQuery("RELEASE import_row").execute();
+
+    for (const entry of context.undo.reverse()) {
+      delete context.exercisesById[entry.id];
+      if (entry.previous) {
+        context.exercisesByName[entry.key] = entry.previous;
+      } else {
+        delete context.exercisesByName[entry.key];
+      }
+    }
+
+    let reason = "The record could not be saved.";
+    if (err instanceof ApiError) {
+      reason = err.message;
+    } else {
+      context.app.logger().error("Failed to import record", "collection", collectionName,
+        "id", typeof row.id === "string" ? row.id : "", "error", String(err));
+    }
+    count(context, collectionName, "rejected", row, reason);
+  } finally {
+    context.undo = null;
+  }
+}
+
+/**
+ * Imports the document's collections with `app` (inside a transaction) and
+ * returns the context.
+ */
+function runImport(app, userId, collections) {
+  const context = createContext(app, userId);
+
+  for (const entry of dataExport.COLLECTIONS) {
+    orderRows(entry.name, collections[entry.name] || []).forEach((row, index) => {
+      importRow(context, entry.name, row, index);
+    });
+  }
+
+  return context;
+}
+
+/**
+ * Route handler for POST /api/periolifts/import?dryRun=true|false.
+ */
+function handleImport(e) {
+  const dryRun = params.readEnumParam(e, "dryRun", ["true", "false"], "false") === "true";
+  const collections = readDocument(e.requestInfo().body);
+
+  let context = null;
+  try {
+    e.app.runInTransaction((txApp) => {
+      context = runImport(txApp, e.auth.id, collections);
+      if (dryRun) {
+        throw new Error("Dry run, rolling back.");
+      }
+    });
+  } catch (err) {
+    // The dry run rollback is the only error thrown after the import ran
+    if (!dryRun || !context) {
+      throw err;
+    }
+  }
+
+  const summary = { created: 0, merged: 0, rejected: 0 };
+  for (const counts of Object.values(context.report)) {
+    summary.created += counts.created;
+    summary.merged += counts.merged;
+    summary.rejected += counts.rejected;
+  }
+
+  return e.json(200, {
+    dry_run: dryRun,
+    summary: summary,
+    collections: context.report,
+    rejected: context.rejected,
+    ids: dryRun ? null : context.ids,
+  });
+}
+
+module.exports = {
+  readDocument,
+  handleImport,
+};
@@ -0,0 +1,112 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Calendar date helpers. Dates are handled as UTC `YYYY-MM-DD` strings;
+ * `toDateTime()` converts one to the PocketBase datetime format used in
+ * filters (`YYYY-MM-DD 00:00:00.000Z`).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`);
+}
+
+function today() {
+  return toDateString(new Date());
+}
+
+/**
+ * Calendar date of the instant `date` (a JS Date) in an IANA timezone
+ * (e.g. "Europe/Amsterdam"), falling back to UTC for empty or unknown zones.
+ *
+ * goja has no Intl support, so the offset is derived from DateTime's
+ * timezone argument: the UTC wall clock read as a time in `timezone` lands
+ * exactly one UTC offset away from the instant.
+ */
+function localDate(timezone, date) {
+  if (!timezone || timezone === "UTC") {
+    return toDateString(date);
+  }
+
+  try {
+    const seconds = Math.floor(date.getTime() / 1000);
+    const wallClock = new Date(seconds * 1000).toISOString().slice(0, 19).replace("T", " ");
+    const offset = seconds - new DateTime(wallClock, timezone).unix();
+    return toDateString(new Date((seconds + offset) * 1000));
+  } catch (e) {
+    return toDateString(date);
+  }
+}
+
+/**
+ * Today's date in an IANA timezone (see localDate).
+ */
+function localToday(timezone) {
+  return localDate(timezone, new Date());
+}
+
+/**
+ * DateTime of a local wall-clock time ("HH:MM:SS") on `dateStr` in an IANA
+ * timezone, falling back to UTC for empty or unknown zones.
+ */
+function localDateTime(dateStr, time, timezone) {
+  const wallClock = `${dateStr} ${time}`;
+  if (timezone && timezone !== "UTC") {
+    try {
+      return new DateTime(wallClock, timezone);
+    } catch (e) {
+      // Unknown zone, use UTC
+    }
+  }
+  return new DateTime(`${wallClock}.000Z`);
+}
+
+function addDays(dateStr, days) {
+  return toDateString(new Date(parseDate(dateStr).getTime() + days * DAY_MS));
+}
+
+function daysBetween(fromStr, toStr) {
+  return Math.round((parseDate(toStr).getTime() - parseDate(fromStr).getTime()) / DAY_MS);
+}
+
+/**
+ * Lowercase weekday name ("monday"...), matching the day_of_week select values.
+ */
+function dayOfWeek(dateStr) {
+  return DAY_NAMES[parseDate(dateStr).getUTCDay()];
+}
+
+function toDateTime(dateStr) {
+  return `${dateStr} 00:00:00.000Z`;
+}
+
+/**
+ * `YYYY-MM-DD` part of a record date field, or "" when the field is empty.
+ */
+function recordDate(record, field) {
+  const value = record.getDateTime(field);
+  return value.isZero() ? "" : value.string().slice(0, 10);
+}
+
+module.exports = {
+  DAY_MS,
+  DAY_NAMES,
+  toDateString,
+  parseDate,
+  today,
+  localDate,
+  localToday,
+  localDateTime,
+  addDays,
+  daysBetween,
+  dayOfWeek,
+  toDateTime,
+  recordDate,
+};
@@ -0,0 +1,144 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Exercise JSON helpers shared by the PerioLifts hooks.
+ *
+ * `workouts.exercises` and `workout_sessions.exercise_data` hold the same
+ * shape: a list of `{ exercise_id, exercise_name, sets: [...] }` entries where
+ * each set carries `reps`, `weight` and `rest_time`. The Flutter client also
+ * writes camelCase keys (`exerciseId`, `actualReps`, `actualWeight`), so every
+ * reader goes through `normalizeExercises()` instead of touching the raw JSON.
+ *
+ * JSVM handlers run in isolated contexts, so load this module from inside the
+ * handler: `const exerciseData = require(`${__hooks}/lib/exercise_data.js`);`
+ */
+
+const strength = require(`${__hooks}/lib/strength.js`);
+
+/**
+ * Reads a JSON field from a record and returns the decoded value.
+ * Returns `fallback` when the field is empty or cannot be decoded.
+ */
+function readJSONField(record, field, fallback) {
+  const raw = record.getString(field);
+  if (!raw) {
+    return fallback;
+  }
+
+  try {
+    const value = JSON.parse(raw);
+    return value === null || value === undefined ? fallback : value;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function firstDefined(...values) {
+  for (const value of values) {
+    if (value !== undefined && value !== null) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+function toNumber(value) {
+  const n = typeof value === "string" ? parseFloat(value) : value;
+  return typeof n === "number" && isFinite(n) ? n : 0;
+}
+
+/**
+ * Normalizes a single set. Sets without an explicit `completed` flag
+ * (template-shaped data) are treated as completed.
+ */
+function normalizeSet(set) {
+  const reps = firstDefined(set.reps, set.actual_reps, set.actualReps, set.target_reps, set.targetReps);
+  const weight = firstDefined(set.weight, set.actual_weight, set.actualWeight, set.target_weight, set.targetWeight);
+  const restTime = firstDefined(set.rest_time, set.restTime);
+
+  return {
+    reps: toNumber(reps),
+    weight: toNumber(weight),
+    rest_time: toNumber(restTime),
+    rpe: toNumber(set.rpe),
+    completed: set.completed !== false,
+  };
+}
+
+/**
+ * Normalizes an exercise list (array or JSON string) into
+ * `[{ exercise_id, exercise_name, sets: [{ reps, weight, rest_time, rpe, completed }] }]`
+ * (rpe is 0 when the set has none).
+ */
+function normalizeExercises(raw) {
+  let list = raw;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  return list
+    .filter((entry) => entry && typeof entry === "object")
+    .map((entry) => ({
+      exercise_id: String(firstDefined(entry.exercise_id, entry.exerciseId, "")),
+      exercise_name: String(firstDefined(entry.exercise_name, entry.exerciseName, "")),
+      sets: (Array.isArray(entry.sets) ? entry.sets : [])
+        .filter((set) => set && typeof set === "object")
+        .map(normalizeSet),
+    }));
+}
+
+/**
+ * Computes the totals stored on `workout_history` from normalized exercises.
+ * Only completed sets count towards sets, reps and volume (weight x reps);
+ * best_e1rm is the highest Epley estimate among them.
+ */
+function summarizeExercises(exercises) {
+  const summary = {
+    total_sets: 0,
+    total_reps: 0,
+    total_weight: 0,
+    exercises_completed: 0,
+    exercises: [],
+  };
+
+  for (const exercise of exercises) {
+    const done = exercise.sets.filter((set) => set.completed);
+    const reps = done.reduce((sum, set) => sum + set.reps, 0);
+    const volume = done.reduce((sum, set) => sum + set.weight * set.reps, 0);
+    const topWeight = done.reduce((max, set) => Math.max(max, set.weight), 0);
+    const bestE1rm = done.reduce((max, set) => Math.max(max, strength.estimateOneRepMax(set.weight, set.reps)), 0);
+
+    summary.total_sets += done.length;
+    summary.total_reps += reps;
+    summary.total_weight += volume;
+    if (exercise.sets.length > 0 && done.length === exercise.sets.length) {
+      summary.exercises_completed++;
+    }
+
+    summary.exercises.push({
+      exercise_id: exercise.exercise_id,
+      exercise_name: exercise.exercise_name,
+      sets_completed: done.length,
+      total_reps: reps,
+      volume: volume,
+      top_weight: topWeight,
+      best_e1rm: bestE1rm,
+    });
+  }
+
+  return summary;
+}
+
+module.exports = {
+  readJSONField,
+  normalizeExercises,
+  summarizeExercises,
+};
@@ -0,0 +1,58 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Ownership helpers for the exercises collection
+ * (see migration 1763100400_exercise_ownership.js).
+ */
+
+/**
+ * Whether `exercise` can be used by `userId`: global exercises are usable by
+ * everyone, custom exercises only by their owner.
+ */
+function isUsableBy(exercise, userId) {
+  return !exercise.getBool("is_custom") || (!!userId && exercise.getString("owner") === userId);
+}
+
+/**
+ * Create request hook body: exercises created by regular users are always
+ * custom and owned by the caller. Superusers create global exercises as sent.
+ */
+function assignOwner(e) {
+  if (!e.hasSuperuserAuth() && e.auth) {
+    e.record.set("owner", e.auth.id);
+    e.record.set("is_custom", true);
+  }
+
+  e.next();
+}
+
+/**
+ * Route handler for POST /api/periolifts/exercises/{id}/promote (superusers
+ * only). Moves a custom exercise into the shared, read-only library.
+ */
+function handlePromote(e) {
+  const id = e.request.pathValue("id");
+
+  let exercise;
+  try {
+    exercise = e.app.findRecordById("exercises", id);
+  } catch (err) {
+    throw new NotFoundError("Exercise not found.");
+  }
+
+  if (!exercise.getBool("is_custom")) {
+    throw new BadRequestError("Exercise is already part of the shared library.");
+  }
+
+  exercise.set("is_custom", false);
+  exercise.set("owner", "");
+  e.app.save(exercise);
+
+  return e.json(200, exercise);
+}
+
+module.exports = {
+  isUsableBy,
+  assignOwner,
+  handlePromote,
+};
@@ -0,0 +1,193 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Exercise full-text search over the `exercises_fts` FTS5 table
+ * (see migration 1763100200_exercises_fts.js).
+ *
+ * Highlights are returned as HTML: the matched text is escaped and only the
+ * `<mark>` tags are markup.
+ */
+
+const exerciseData = require(`${__hooks}/lib/exercise_data.js`);
+
+const MAX_LIMIT = 50;
+const DEFAULT_LIMIT = 20;
+
+// Highlight markers, replaced by <mark> tags once the text is escaped
+const MARK_OPEN = "\u0002";
+const MARK_CLOSE = "\u0003";
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  "\"": "&quot;",
+  "'": "&#39;",
+};
+
+function muscleGroupsText(record) {
+  const groups = exerciseData.readJSONField(record, "muscle_groups", []);
+  return Array.isArray(groups) ? groups.join(" ") : String(groups);
+}
+
+/**
+ * Writes (or rewrites) the FTS row for an exercise record.
+ */
+function indexExercise(app, record) {
+  removeExercise(app, record.id);
+
+  app.db().newQuery(`
+    INSERT INTO exercises_fts (exercise_id, name, description, category, muscle_groups)
+    VALUES ({:id}, {:name}, {:description}, {:category}, {:muscleGroups})
+  `).bind({
+    id: record.id,
+    name: record.getString("name"),
+    description: record.getString("description"),
+    category: record.getString("category"),
+    muscleGroups: muscleGroupsText(record),
+  }).execute();
+}
+
+function removeExercise(app, exerciseId) {
+  app.db()
+    .newQuery("DELETE FROM exercises_fts WHERE exercise_id = {:id}")
+    .bind({ id: exerciseId })
+    .execute();
+}
+
+/**
+ * Turns free text into an FTS5 MATCH expression. Every term becomes a quoted
+ * prefix query, so user input can never inject FTS syntax.
+ */
+function buildMatchQuery(q, operator) {
+  const terms = String(q || "").toLowerCase().match(/[a-z0-9\u00c0-\uffff]+/g) || [];
+  return terms.map((term) => `"${term}"*`).join(` ${operator} `);
+}
+
+/**
+ * Escapes highlighted text for HTML and turns the markers into <mark> tags.
+ */
+function highlightHTML(text) {
+  return String(text || "")
+    .replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+    .split(MARK_OPEN).join("<mark>")
+    .split(MARK_CLOSE).join("</mark>");
+}
+
+function runMatch(app, match, limit, userId) {
+  const rows = arrayOf(new DynamicModel({
+    exercise_id: "",
+    name_highlight: "",
+    snippet: "",
+  }));
+
+  // Same visibility as the exercises listRule, applied before the LIMIT
+  app.db().newQuery(`
+    SELECT
+      exercises_fts.exercise_id AS exercise_id,
+      highlight(exercises_fts, 1, {:open}, {:close}) AS name_highlight,
+      snippet(exercises_fts, -1, {:open}, {:close}, '…', 12) AS snippet
+    FROM exercises_fts
+    JOIN exercises ex ON ex.id = exercises_fts.exercise_id
+    WHERE exercises_fts MATCH {:match}
+      AND ({:all} OR ex.is_custom = FALSE OR ({:user} != '' AND ex.owner = {:user}))
+    ORDER BY bm25(exercises_fts, 0.0, 10.0, 2.0, 4.0, 3.0)
+    LIMIT {:limit}
+  `).bind({
+    match: match,
+    limit: limit,
+    open: MARK_OPEN,
+    close: MARK_CLOSE,
+    all: userId === null,
+    user: userId || "",
+  }).all(rows);
+
+  return rows.map((row) => ({
+    exercise_id: row.exercise_id,
+    name_highlight: highlightHTML(row.name_highlight),
+    snippet: highlightHTML(row.snippet),
+  }));
+}
+
+/**
+ * Returns ranked `{ exercise_id, name_highlight, snippet }` matches for `q`
+ * among the exercises `userId` can list: the shared library and their own
+ * custom exercises (every exercise when `userId` is null, for superusers).
+ * All terms must match; if that finds nothing, any term may match.
+ */
+function search(app, q, limit, userId) {
+  const strict = buildMatchQuery(q, "AND");
+  if (!strict) {
+    return [];
+  }
+
+  const rows = runMatch(app, strict, limit, userId);
+  if (rows.length > 0) {
+    return rows;
+  }
+
+  return runMatch(app, buildMatchQuery(q, "OR"), limit, userId);
+}
+
+/**
+ * Route handler for GET /api/periolifts/exercises/search?q=&limit=.
+ * Custom exercises only show up for their owner (see search()).
+ */
+function handleSearch(e) {
+  const query = e.request.url.query();
+  const q = (query.get("q") || "").trim();
+  if (!q) {
+    throw new BadRequestError("Missing search query.", {
+      q: new ValidationError("required", "The q parameter is required."),
+    });
+  }
+
+  let limit = parseInt(query.get("limit"), 10) || DEFAULT_LIMIT;
+  limit = Math.max(1, Math.min(limit, MAX_LIMIT));
+
+  let userId = "";
+  if (e.hasSuperuserAuth()) {
+    userId = null;
+  } else if (e.auth && e.auth.collection().name === "users") {
+    userId = e.auth.id;
+  }
+
+  const matches = search(e.app, q, limit, userId);
+
+  const records = e.app.findRecordsByIds("exercises", matches.map((m) => m.exercise_id));
+  const recordsById = {};
+  for (const record of records) {
+    recordsById[record.id] = record;
+  }
+
+  const items = [];
+  for (const match of matches) {
+    const record = recordsById[match.exercise_id];
+    if (!record) {
+      continue;
+    }
+
+    items.push({
+      id: record.id,
+      name: record.getString("name"),
+      category: record.getString("category"),
+      description: record.getString("description"),
+      muscle_groups: exerciseData.readJSONField(record, "muscle_groups", []),
+      is_custom: record.getBool("is_custom"),
+      rank: items.length + 1,
+      highlight: {
+        name: match.name_highlight,
+        snippet: match.snippet,
+      },
+    });
+  }
+
+  return e.json(200, { query: q, items: items });
+}
+
+module.exports = {
+  indexExercise,
+  removeExercise,
+  search,
+  handleSearch,
+};
@@ -0,0 +1,137 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Validation for exercise JSON payloads (`workouts.exercises` and
+ * `workout_sessions.exercise_data`).
+ *
+ * Checks the raw submitted JSON rather than the normalized form so that
+ * non-numeric values are reported instead of silently coerced to 0.
+ */
+
+const exerciseOwnership = require(`${__hooks}/lib/exercise_ownership.js`);
+const progression = require(`${__hooks}/lib/progression.js`);
+
+const SET_NUMBER_KEYS = [
+  ["reps", "actual_reps", "actualReps", "target_reps", "targetReps"],
+  ["weight", "actual_weight", "actualWeight", "target_weight", "targetWeight"],
+  ["rest_time", "restTime"],
+  ["rpe"],
+];
+
+function isNumber(value) {
+  return typeof value === "number" && isFinite(value);
+}
+
+function checkSet(set, path) {
+  if (!set || typeof set !== "object" || Array.isArray(set)) {
+    return new ValidationError("invalid_set", `${path} must be an object.`);
+  }
+
+  for (const keys of SET_NUMBER_KEYS) {
+    for (const key of keys) {
+      if (set[key] === undefined || set[key] === null) {
+        continue;
+      }
+      if (!isNumber(set[key]) || set[key] < 0) {
+        return new ValidationError("invalid_set_value", `${path}.${key} must be a non-negative number.`);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validates an exercise list owned by `userId`. Returns a ValidationError
+ * describing the first problem found, or null when the list is valid.
+ */
+function validateExerciseList(app, raw, userId) {
+  let list = raw;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch (e) {
+      return new ValidationError("invalid_json", "Must be a valid JSON array of exercises.");
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    return new ValidationError("invalid_type", "Must be an array of exercises.");
+  }
+
+  if (list.length === 0) {
+    return new ValidationError("empty_exercises", "At least one exercise is required.");
+  }
+
+  const exerciseIds = [];
+  for (let i = 0; i < list.length; i++) {
+    const entry = list[i];
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      return new ValidationError("invalid_exercise", `Exercise ${i} must be an object.`);
+    }
+
+    const exerciseId = entry.exercise_id || entry.exerciseId;
+    if (!exerciseId || typeof exerciseId !== "string") {
+      return new ValidationError("missing_exercise_id", `Exercise ${i} is missing an exercise_id.`);
+    }
+    exerciseIds.push(exerciseId);
+
+    if (!Array.isArray(entry.sets)) {
+      return new ValidationError("invalid_sets", `Exercise ${i} must have a sets array.`);
+    }
+
+    for (let j = 0; j < entry.sets.length; j++) {
+      const error = checkSet(entry.sets[j], `exercise ${i} set ${j}`);
+      if (error) {
+        return error;
+      }
+    }
+
+    if (entry.progression !== undefined) {
+      const error = progression.validateProgression(entry.progression, `exercise ${i} progression`);
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  const uniqueIds = [...new Set(exerciseIds)];
+  const found = app.findRecordsByIds("exercises", uniqueIds);
+  if (found.length !== uniqueIds.length) {
+    const foundIds = new Set(found.map((record) => record.id));
+    const missing = uniqueIds.filter((id) => !foundIds.has(id));
+    return new ValidationError("invalid_exercise_id", `Unknown exercise_id: ${missing.join(", ")}.`);
+  }
+
+  // Another user's custom exercise counts as unknown
+  const foreign = found.filter((record) => !exerciseOwnership.isUsableBy(record, userId));
+  if (foreign.length > 0) {
+    return new ValidationError("invalid_exercise_id", `Unknown exercise_id: ${foreign.map((r) => r.id).join(", ")}.`);
+  }
+
+  return null;
+}
+
+/**
+ * Request hook body: validates `field` on e.record and throws a field-level
+ * BadRequestError on failure. On updates the field is only checked when it
+ * was actually changed, so unrelated edits to legacy rows keep working.
+ */
+function validateRequest(e, field, isUpdate) {
+  const value = e.record.getString(field);
+  const changed = !isUpdate || value !== e.record.original().getString(field);
+
+  if (changed) {
+    const error = validateExerciseList(e.app, value, e.record.getString("user_id"));
+    if (error) {
+      throw new BadRequestError("Failed to validate exercise data.", { [field]: error });
+    }
+  }
+
+  e.next();
+}
+
+module.exports = {
+  validateExerciseList,
+  validateRequest,
+};
@@ -0,0 +1,272 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Missed workout detection and rescheduling.
+ *
+ * A schedule row is missed when its date is before today, it isn't a rest
+ * day and the plan owner has no completed session for that workout on that
+ * day. Only active plans and the last LOOKBACK_DAYS days are checked, so
+ * old history is never rewritten. What happens next depends on
+ * `workout_plans.missed_policy`:
+ *
+ * - skip (or empty): the row stays where it is and gets `missed_at`
+ * - next_free_day: the row moves to the first day from today on which the
+ *   plan has nothing scheduled
+ * - shift_remaining: the missed rows and everything scheduled from today
+ *   onwards move forward so the earliest missed row lands on today
+ *
+ * Every move is logged in schedule_moves under one batch id per plan and run;
+ * undoing a batch moves the rows back. Rows that schedule_rules generate
+ * later follow the rule's own dates.
+ */
+
+const dates = require(`${__hooks}/lib/dates.js`);
+
+const LOOKBACK_DAYS = 7;
+const MAX_SEARCH_DAYS = 60;
+
+const POLICIES = {
+  skip: "skip",
+  nextFreeDay: "next_free_day",
+  shiftRemaining: "shift_remaining",
+};
+
+function findMissed(app, today) {
+  const rows = arrayOf(new DynamicModel({
+    id: "",
+    plan_id: "",
+    policy: "",
+  }));
+
+  app.db().newQuery(`
+    SELECT s.id, s.plan_id, COALESCE(p.missed_policy, '') AS policy
+    FROM workout_plan_schedules s
+    JOIN workout_plans p ON p.id = s.plan_id
+    WHERE p.is_active = TRUE
+      AND s.is_rest_day = FALSE
+      AND COALESCE(s.missed_at, '') = ''
+      AND s.scheduled_date >= {:lower}
+      AND s.scheduled_date < {:today}
+      AND NOT EXISTS (
+        SELECT 1 FROM workout_sessions ws
+        WHERE ws.user_id = p.user_id
+          AND ws.workout_id = s.workout_id
+          AND ws.is_completed = TRUE
+          AND date(ws.completed_at) = date(s.scheduled_date)
+      )
+    ORDER BY s.plan_id, s.scheduled_date, s.sort_order
+  `).bind({
+    lower: dates.toDateTime(dates.addDays(today, -LOOKBACK_DAYS)),
+    today: dates.toDateTime(today),
+  }).all(rows);
+
+  return rows;
+}
+
+function isDayFree(app, planId, date) {
+  const row = new DynamicModel({ total: 0 });
+  app.db().newQuery(`
+    SELECT COUNT(*) AS total FROM workout_plan_schedules
+    WHERE plan_id = {:plan} AND scheduled_date = {:date}
+  `).bind({ plan: planId, date: dates.toDateTime(date) }).one(row);
+
+  return row.total === 0;
+}
+
+function moveRow(app, schedule, toDate) {
+  schedule.set("scheduled_date", dates.toDateTime(toDate));
+  schedule.set("day_of_week", dates.dayOfWeek(toDate));
+  app.save(schedule);
+}
+
+function logMove(app, batch, schedule, fromDate, toDate, wasMissed) {
+  const move = new Record(app.findCollectionByNameOrId("schedule_moves"));
+  move.set("batch_id", batch.id);
+  move.set("plan_id", schedule.getString("plan_id"));
+  move.set("schedule_id", schedule.id);
+  move.set("workout_id", schedule.getString("workout_id"));
+  move.set("policy", batch.policy);
+  move.set("from_date", dates.toDateTime(fromDate));
+  move.set("to_date", dates.toDateTime(toDate));
+  move.set("was_missed", wasMissed);
+  app.save(move);
+}
+
+function markMissed(app, schedule) {
+  schedule.set("missed_at", new DateTime());
+  app.save(schedule);
+}
+
+function pushToNextFreeDay(app, batch, missed, today) {
+  let moved = 0;
+
+  for (const schedule of missed) {
+    const fromDate = dates.recordDate(schedule, "scheduled_date");
+    let target = "";
+    for (let i = 0; i < MAX_SEARCH_DAYS && !target; i++) {
+      const date = dates.addDays(today, i);
+      if (isDayFree(app, schedule.getString("plan_id"), date)) {
+        target = date;
+      }
+    }
+
+    if (!target) {
+      markMissed(app, schedule);
+      continue;
+    }
+
+    moveRow(app, schedule, target);
+    logMove(app, batch, schedule, fromDate, target, true);
+    moved++;
+  }
+
+  return moved;
+}
+
+function shiftRemaining(app, batch, missed, today) {
+  const planId = missed[0].getString("plan_id");
+  const offset = dates.daysBetween(dates.recordDate(missed[0], "scheduled_date"), today);
+
+  const upcoming = app.findRecordsByFilter(
+    "workout_plan_schedules",
+    "plan_id = {:plan} && scheduled_date >= {:today}",
+    "",
+    0,
+    0,
+    { plan: planId, today: dates.toDateTime(today) }
+  );
+
+  const missedIds = new Set(missed.map((schedule) => schedule.id));
+  const rows = missed.concat(upcoming).map((schedule) => ({
+    schedule: schedule,
+    date: dates.recordDate(schedule, "scheduled_date"),
+  }));
+
+  // Latest first, so no row lands on a date another row still occupies
+  rows.sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+
+  for (const row of rows) {
+    const target = dates.addDays(row.date, offset);
+    moveRow(app, row.schedule, target);
+    logMove(app, batch, row.schedule, row.date, target, missedIds.has(row.schedule.id));
+  }
+
+  return rows.length;
+}
+
+/**
+ * Applies the plan's policy to its missed rows (ordered by date) in one
+ * transaction. Returns the number of rows moved.
+ */
+function processPlan(app, policy, missedIds, today) {
+  let moved = 0;
+
+  app.runInTransaction((txApp) => {
+    const missed = missedIds.map((id) => txApp.findRecordById("workout_plan_schedules", id));
+    const batch = { id: $security.randomString(15), policy: policy };
+
+    if (policy === POLICIES.nextFreeDay) {
+      moved = pushToNextFreeDay(txApp, batch, missed, today);
+    } else if (policy === POLICIES.shiftRemaining) {
+      moved = shiftRemaining(txApp, batch, missed, today);
+    } else {
+      for (const schedule of missed) {
+        markMissed(txApp, schedule);
+      }
+    }
+  });
+
+  return moved;
+}
+
+/**
+ * Cron entry point: processes the missed rows of every active plan.
+ */
+function processAll(app) {
+  const today = dates.today();
+  const byPlan = {};
+
+  for (const row of findMissed(app, today)) {
+    const plan = byPlan[row.plan_id] || (byPlan[row.plan_id] = { policy: row.policy, ids: [] });
+    plan.ids.push(row.id);
+  }
+
+  let missed = 0;
+  let moved = 0;
+  for (const [planId, plan] of Object.entries(byPlan)) {
+    try {
+      moved += processPlan(app, plan.policy, plan.ids, today);
+      missed += plan.ids.length;
+    } catch (err) {
+      app.logger().error("Failed to reschedule missed workouts", "plan", planId, "error", String(err));
+    }
+  }
+
+  app.logger().info("Processed missed workouts", "plans", Object.keys(byPlan).length,
+    "missed", missed, "moved", moved);
+}
+
+/**
+ * Route handler for POST /api/periolifts/schedule/moves/{id}/undo. Reverts
+ * every move in the batch of the given move.
+ */
+function handleUndo(e) {
+  let move;
+  try {
+    move = e.app.findRecordById("schedule_moves", e.request.pathValue("id"));
+    const plan = e.app.findRecordById("workout_plans", move.getString("plan_id"));
+    if (plan.getString("user_id") !== e.auth.id) {
+      throw new Error("not the plan owner");
+    }
+  } catch (err) {
+    throw new NotFoundError("Schedule move not found.");
+  }
+
+  const batchId = move.getString("batch_id");
+  const today = dates.today();
+  let undone = 0;
+
+  e.app.runInTransaction((txApp) => {
+    // Earliest target first: the reverse of the order the rows were moved in
+    const moves = txApp.findRecordsByFilter(
+      "schedule_moves",
+      "batch_id = {:batch} && undone_at = ''",
+      "to_date",
+      0,
+      0,
+      { batch: batchId }
+    );
+
+    for (const item of moves) {
+      const schedule = txApp.findRecordById("workout_plan_schedules", item.getString("schedule_id"));
+      const fromDate = dates.recordDate(item, "from_date");
+
+      if (dates.recordDate(schedule, "scheduled_date") !== dates.recordDate(item, "to_date")) {
+        throw new BadRequestError("The schedule has changed since this move and can't be undone.");
+      }
+
+      // Back in the past it stays missed instead of being picked up again
+      if (fromDate < today) {
+        schedule.set("missed_at", new DateTime());
+      }
+
+      try {
+        moveRow(txApp, schedule, fromDate);
+      } catch (err) {
+        throw new BadRequestError(`Another workout is already scheduled on ${fromDate}.`);
+      }
+
+      item.set("undone_at", new DateTime());
+      txApp.save(item);
+      undone++;
+    }
+  });
+
+  return e.json(200, { batch_id: batchId, undone: undone });
+}
+
+module.exports = {
+  POLICIES,
+  processAll,
+  handleUndo,
+};
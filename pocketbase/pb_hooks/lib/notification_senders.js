@@ -0,0 +1,100 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Delivery channels for notifications_outbox entries, selected with
+ * PB_NOTIFICATIONS_SENDER:
+ *
+ * - mail (default): email through the mailer configured in the PocketBase
+ *   settings (SMTP or the local sendmail fallback)
+ * - webhook: POSTs the entry as JSON to PB_NOTIFICATIONS_WEBHOOK_URL, e.g. a
+ *   local request bin standing in for push notifications while testing
+ * - log: only writes the entry to the app logs
+ *
+ * A sender is `send(app, item, user)` and throws when delivery failed.
+ * New channels are added to SENDERS (and to the outbox `channel` values).
+ */
+
+const exerciseData = require(`${__hooks}/lib/exercise_data.js`);
+
+const WEBHOOK_TIMEOUT_SECONDS = 10;
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function sendMail(app, item, user) {
+  const address = user.email();
+  if (!address) {
+    throw new Error("user has no email address");
+  }
+
+  const meta = app.settings().meta;
+  const message = new MailerMessage({
+    from: {
+      address: meta.senderAddress,
+      name: meta.senderName,
+    },
+    to: [{ address: address }],
+    subject: item.getString("subject"),
+    html: escapeHTML(item.getString("body")).replace(/\n/g, "<br>"),
+    text: item.getString("body"),
+  });
+
+  app.newMailClient().send(message);
+}
+
+function sendWebhook(app, item, user) {
+  const url = ($os.getenv("PB_NOTIFICATIONS_WEBHOOK_URL") || "").trim();
+  if (!url) {
+    throw new Error("PB_NOTIFICATIONS_WEBHOOK_URL is not set");
+  }
+
+  const res = $http.send({
+    url: url,
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({
+      id: item.id,
+      kind: item.getString("kind"),
+      user_id: user.id,
+      email: user.email(),
+      subject: item.getString("subject"),
+      body: item.getString("body"),
+      payload: exerciseData.readJSONField(item, "payload", {}),
+    }),
+    timeout: WEBHOOK_TIMEOUT_SECONDS,
+  });
+
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    throw new Error(`webhook responded with ${res.statusCode}`);
+  }
+}
+
+function sendLog(app, item, user) {
+  app.logger().info("Notification", "id", item.id, "kind", item.getString("kind"),
+    "user", user.id, "subject", item.getString("subject"));
+}
+
+const SENDERS = {
+  mail: sendMail,
+  webhook: sendWebhook,
+  log: sendLog,
+};
+
+/**
+ * Returns `{ channel, send }` for PB_NOTIFICATIONS_SENDER, or null when the
+ * value names an unknown channel.
+ */
+function configuredSender() {
+  const channel = ($os.getenv("PB_NOTIFICATIONS_SENDER") || "mail").trim().toLowerCase();
+  return SENDERS[channel] ? { channel: channel, send: SENDERS[channel] } : null;
+}
+
+module.exports = {
+  SENDERS,
+  configuredSender,
+};
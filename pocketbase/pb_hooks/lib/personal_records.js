@@ -0,0 +1,221 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Personal record detection for completed workout sessions.
+ *
+ * Detection runs before the session is saved so the PR tags can be written
+ * onto the session in the same update (`workout_sessions.personal_records`);
+ * the `personal_records` rows are written after the save, once the session id
+ * exists. A first-ever lift for an exercise sets the baseline without being
+ * tagged as a PR.
+ */
+
+const exerciseData = require(`${__hooks}/lib/exercise_data.js`);
+const strength = require(`${__hooks}/lib/strength.js`);
+
+/**
+ * rep_records key of a weight: rounded to 0.01 kg, so converted weights that
+ * differ only in float noise share a key.
+ */
+function weightKey(weight) {
+  return String(Math.round(weight * 100) / 100);
+}
+
+/**
+ * Per-exercise bests for a single session, keyed by exercise_id. Entries for
+ * the same exercise are combined.
+ */
+function sessionBests(exercises) {
+  const bests = {};
+
+  for (const exercise of exercises) {
+    if (!exercise.exercise_id) {
+      continue;
+    }
+
+    const best = bests[exercise.exercise_id] || (bests[exercise.exercise_id] = {
+      exercise_name: exercise.exercise_name,
+      heaviest_weight: 0,
+      heaviest_weight_reps: 0,
+      best_e1rm: 0,
+      volume: 0,
+      reps_at_weight: {},
+    });
+
+    for (const set of exercise.sets) {
+      if (!set.completed || !(set.weight > 0) || !(set.reps > 0)) {
+        continue;
+      }
+
+      if (set.weight > best.heaviest_weight ||
+          (set.weight === best.heaviest_weight && set.reps > best.heaviest_weight_reps)) {
+        best.heaviest_weight = set.weight;
+        best.heaviest_weight_reps = set.reps;
+      }
+
+      best.best_e1rm = Math.max(best.best_e1rm, strength.estimateOneRepMax(set.weight, set.reps));
+      best.volume += set.weight * set.reps;
+
+      const key = weightKey(set.weight);
+      best.reps_at_weight[key] = Math.max(best.reps_at_weight[key] || 0, set.reps);
+    }
+  }
+
+  return bests;
+}
+
+function findRecord(app, userId, exerciseId) {
+  try {
+    return app.findFirstRecordByFilter(
+      "personal_records",
+      "user_id = {:user} && exercise_id = {:exercise}",
+      { user: userId, exercise: exerciseId }
+    );
+  } catch (e) {
+    return null;
+  }
+}
+
+function exerciseExists(app, exerciseId) {
+  try {
+    app.findRecordById("exercises", exerciseId);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Compares the session's bests against the stored records.
+ *
+ * Returns `{ userId, changes, tags }` where `changes` is consumed by
+ * `apply()` and `tags` is the list stored on the session.
+ */
+function detect(app, session) {
+  const userId = session.getString("user_id");
+  const result = { userId: userId, changes: [], tags: [] };
+  if (!userId) {
+    return result;
+  }
+
+  const exercises = exerciseData.normalizeExercises(
+    exerciseData.readJSONField(session, "exercise_data", [])
+  );
+  const bests = sessionBests(exercises);
+
+  for (const [exerciseId, best] of Object.entries(bests)) {
+    if (best.volume === 0 || !exerciseExists(app, exerciseId)) {
+      continue;
+    }
+
+    const record = findRecord(app, userId, exerciseId);
+    const repRecords = record ? exerciseData.readJSONField(record, "rep_records", {}) : {};
+    const change = {
+      exercise_id: exerciseId,
+      record: record,
+      fields: [],
+      rep_records: {},
+    };
+    const tag = (type, value, previous, extra) => {
+      if (record) {
+        result.tags.push(Object.assign({
+          exercise_id: exerciseId,
+          exercise_name: best.exercise_name,
+          type: type,
+          value: value,
+          previous: previous,
+        }, extra || {}));
+      }
+    };
+
+    const previousWeight = record ? record.getFloat("heaviest_weight") : 0;
+    if (best.heaviest_weight > previousWeight) {
+      change.fields.push("heaviest_weight");
+      tag("heaviest_weight", best.heaviest_weight, previousWeight, { reps: best.heaviest_weight_reps });
+    }
+
+    const previousE1rm = record ? record.getFloat("best_e1rm") : 0;
+    if (best.best_e1rm > previousE1rm) {
+      change.fields.push("best_e1rm");
+      tag("best_e1rm", best.best_e1rm, previousE1rm);
+    }
+
+    const previousVolume = record ? record.getFloat("best_volume") : 0;
+    if (best.volume > previousVolume) {
+      change.fields.push("best_volume");
+      tag("best_volume", best.volume, previousVolume);
+    }
+
+    for (const [weight, reps] of Object.entries(best.reps_at_weight)) {
+      const previousReps = repRecords[weight] ? repRecords[weight].reps : 0;
+      if (reps > previousReps) {
+        change.rep_records[weight] = reps;
+        tag("reps_at_weight", reps, previousReps, { weight: parseFloat(weight) });
+      }
+    }
+
+    change.best = best;
+    if (change.fields.length > 0 || Object.keys(change.rep_records).length > 0) {
+      result.changes.push(change);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Writes the changes found by `detect()` for the (now saved) session.
+ */
+function apply(app, session, detection) {
+  if (!detection || detection.changes.length === 0) {
+    return;
+  }
+
+  const achievedAt = session.getDateTime("completed_at");
+  const collection = app.findCollectionByNameOrId("personal_records");
+
+  for (const change of detection.changes) {
+    // Re-read inside the transaction in case another session updated it
+    let record = findRecord(app, detection.userId, change.exercise_id);
+    if (!record) {
+      record = new Record(collection);
+      record.set("user_id", detection.userId);
+      record.set("exercise_id", change.exercise_id);
+    }
+
+    const best = change.best;
+    if (change.fields.includes("heaviest_weight")) {
+      record.set("heaviest_weight", best.heaviest_weight);
+      record.set("heaviest_weight_reps", best.heaviest_weight_reps);
+      record.set("heaviest_weight_session", session.id);
+      record.set("heaviest_weight_at", achievedAt);
+    }
+    if (change.fields.includes("best_e1rm")) {
+      record.set("best_e1rm", best.best_e1rm);
+      record.set("best_e1rm_session", session.id);
+      record.set("best_e1rm_at", achievedAt);
+    }
+    if (change.fields.includes("best_volume")) {
+      record.set("best_volume", best.volume);
+      record.set("best_volume_session", session.id);
+      record.set("best_volume_at", achievedAt);
+    }
+
+    const repRecords = exerciseData.readJSONField(record, "rep_records", {});
+    for (const [weight, reps] of Object.entries(change.rep_records)) {
+      repRecords[weight] = {
+        reps: reps,
+        session: session.id,
+        achieved_at: achievedAt.string(),
+      };
+    }
+    record.set("rep_records", repRecords);
+
+    app.save(record);
+  }
+}
+
+module.exports = {
+  detect,
+  apply,
+};
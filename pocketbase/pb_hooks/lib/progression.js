@@ -0,0 +1,397 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Progressive overload: next-session targets for a workout template.
+ *
+ * Each entry of `workouts.exercises` can carry a `progression` object whose
+ * `scheme` decides how the user's last completed sessions of that exercise
+ * turn into the next weight and reps:
+ *
+ * - linear: all prescribed sets done at the target reps → the top weight goes
+ *   up by `increment`; targets missed in each of the last `stall_sessions`
+ *   sessions → the weight drops by `deload`; otherwise repeat
+ * - double: reps climb by one per session within `min_reps`..`max_reps`;
+ *   once every set reaches `max_reps` the weight goes up by `increment` and
+ *   the reps restart at `min_reps`
+ * - rpe: the e1RM is estimated from each session's sets with an RPE
+ *   (reps + reps in reserve, Epley) and averaged; the weight is the one that
+ *   lands the template reps on `target_rpe`
+ *
+ * Sets with different template weights (back-off sets) keep their ratio to
+ * the top set. Entries without a progression, or without history, are
+ * returned unchanged.
+ *
+ * Increments are in kg (weights are stored in kg); responses are converted
+ * to the requester's preferred_units.
+ */
+
+const exerciseData = require(`${__hooks}/lib/exercise_data.js`);
+const strength = require(`${__hooks}/lib/strength.js`);
+const units = require(`${__hooks}/lib/units.js`);
+
+const SCHEMES = ["linear", "double", "rpe"];
+const DEFAULT_SESSIONS = 3;
+const MAX_SESSIONS = 10;
+const WEIGHT_STEP = 0.5;
+
+const DEFAULTS = {
+  linear: { increment: 2.5, deload: 0.9, stall_sessions: 2 },
+  double: { increment: 2.5, min_reps: 8, max_reps: 12 },
+  rpe: { increment: 2.5, target_rpe: 8 },
+};
+
+// [min, max, integer]
+const OPTION_LIMITS = {
+  increment: [0.25, 50, false],
+  deload: [0.5, 1, false],
+  stall_sessions: [1, MAX_SESSIONS, true],
+  min_reps: [1, 100, true],
+  max_reps: [1, 100, true],
+  target_rpe: [5, 10, false],
+};
+
+const WEIGHT_KEYS = ["weight", "target_weight", "targetWeight"];
+const REPS_KEYS = ["reps", "target_reps", "targetReps"];
+
+/**
+ * Checks a `progression` object. Returns a ValidationError or null.
+ */
+function validateProgression(progression, path) {
+  if (!progression || typeof progression !== "object" || Array.isArray(progression)) {
+    return new ValidationError("invalid_progression", `${path} must be an object.`);
+  }
+  if (!SCHEMES.includes(progression.scheme)) {
+    return new ValidationError("invalid_scheme", `${path}.scheme must be one of: ${SCHEMES.join(", ")}.`);
+  }
+
+  for (const [key, value] of Object.entries(progression)) {
+    if (key === "scheme") {
+      continue;
+    }
+    if (!(key in DEFAULTS[progression.scheme])) {
+      return new ValidationError("invalid_option",
+        `${path}.${key} is not an option of the ${progression.scheme} scheme.`);
+    }
+
+    const [min, max, integer] = OPTION_LIMITS[key];
+    if (typeof value !== "number" || value < min || value > max || (integer && !Number.isInteger(value))) {
+      return new ValidationError("invalid_option",
+        `${path}.${key} must be ${integer ? "an integer" : "a number"} between ${min} and ${max}.`);
+    }
+  }
+
+  if (progression.scheme === "double") {
+    const config = resolveConfig(progression);
+    if (config.min_reps > config.max_reps) {
+      return new ValidationError("invalid_option", `${path}.min_reps must not be above max_reps.`);
+    }
+  }
+
+  return null;
+}
+
+function resolveConfig(progression) {
+  return Object.assign({ scheme: progression.scheme }, DEFAULTS[progression.scheme], progression);
+}
+
+function roundWeight(value) {
+  return Math.max(0, Math.round(value / WEIGHT_STEP) * WEIGHT_STEP);
+}
+
+/**
+ * Completed sets of the exercise in the user's last `limit` completed
+ * sessions, newest first: `[{ completed_at, sets }]`.
+ */
+function loadHistory(app, userId, exerciseId, limit) {
+  const rows = arrayOf(new DynamicModel({
+    completed_at: "",
+    exercise_data: "",
+  }));
+
+  app.db().newQuery(`
+    SELECT ws.completed_at, ws.exercise_data
+    FROM workout_sessions ws
+    WHERE ws.user_id = {:user}
+      AND ws.is_completed = TRUE
+      AND EXISTS (
+        SELECT 1 FROM json_each(ws.exercise_data) x
+        WHERE COALESCE(json_extract(x.value, '$.exercise_id'), json_extract(x.value, '$.exerciseId')) = {:exercise}
+      )
+    ORDER BY ws.completed_at DESC
+    LIMIT {:limit}
+  `).bind({ user: userId, exercise: exerciseId, limit: limit }).all(rows);
+
+  return rows.map((row) => ({
+    completed_at: row.completed_at,
+    sets: exerciseData.normalizeExercises(row.exercise_data)
+      .filter((exercise) => exercise.exercise_id === exerciseId)
+      .reduce((sets, exercise) => sets.concat(exercise.sets), [])
+      .filter((set) => set.completed),
+  })).filter((session) => session.sets.length > 0);
+}
+
+function topWeight(sets) {
+  return sets.reduce((max, set) => Math.max(max, set.weight), 0);
+}
+
+/**
+ * Whether every prescribed set was completed at (at least) its target reps.
+ */
+function hitTargets(session, targets) {
+  return session.sets.length >= targets.length &&
+    targets.every((target, i) => session.sets[i].reps >= target.reps);
+}
+
+function linear(config, targets, history) {
+  const last = history[0];
+  const top = topWeight(last.sets);
+
+  if (hitTargets(last, targets)) {
+    if (top > 0) {
+      return { decision: "increase", weight: top + config.increment, reps: null,
+        explanation: `All ${targets.length} sets done last time: +${config.increment}.` };
+    }
+    return { decision: "increase", weight: 0, reps: Math.max(...targets.map((t) => t.reps)) + 1,
+      explanation: "All sets done last time: +1 rep." };
+  }
+
+  const recent = history.slice(0, config.stall_sessions);
+  if (top > 0 && recent.length === config.stall_sessions && !recent.some((session) => hitTargets(session, targets))) {
+    return { decision: "deload", weight: top * config.deload, reps: null,
+      explanation: `Targets missed in the last ${config.stall_sessions} sessions: ×${config.deload}.` };
+  }
+
+  return { decision: "repeat", weight: top, reps: null, explanation: "Targets missed last time: same weight." };
+}
+
+function double(config, targets, history) {
+  const last = history[0];
+  const top = topWeight(last.sets);
+  const topSets = last.sets.filter((set) => set.weight === top);
+  const lowestReps = topSets.reduce((min, set) => Math.min(min, set.reps), Infinity);
+
+  if (topSets.length >= targets.length && lowestReps >= config.max_reps) {
+    return { decision: "increase", weight: top + config.increment, reps: config.min_reps,
+      explanation: `All sets reached ${config.max_reps} reps: +${config.increment}, back to ${config.min_reps} reps.` };
+  }
+
+  const reps = Math.min(config.max_reps, Math.max(config.min_reps, lowestReps + 1));
+  return { decision: "repeat", weight: top, reps: reps,
+    explanation: `Same weight, aim for ${reps} reps (up to ${config.max_reps}).` };
+}
+
+function rpe(config, targets, history) {
+  const estimates = history
+    .map((session) => session.sets
+      .filter((set) => set.rpe > 0 && set.weight > 0 && set.reps > 0)
+      .reduce((max, set) => Math.max(max, strength.estimateOneRepMax(set.weight, set.reps + (10 - set.rpe))), 0))
+    .filter((estimate) => estimate > 0);
+
+  const top = topWeight(history[0].sets);
+  if (estimates.length === 0) {
+    return { decision: "repeat", weight: top, reps: null, explanation: "No RPE logged yet: same weight." };
+  }
+
+  const e1rm = estimates.reduce((sum, value) => sum + value, 0) / estimates.length;
+  const reps = Math.max(...targets.map((t) => t.reps));
+  const weight = Math.round(e1rm / (1 + (reps + (10 - config.target_rpe)) / 30) / config.increment) * config.increment;
+
+  return {
+    decision: weight > top ? "increase" : weight < top ? "decrease" : "repeat",
+    weight: weight,
+    reps: null,
+    explanation: `e1RM ${Math.round(e1rm * 10) / 10} over ${estimates.length} session${estimates.length === 1 ? "" : "s"}: ${reps} reps at RPE ${config.target_rpe}.`,
+  };
+}
+
+const PRESCRIBERS = {
+  linear: linear,
+  double: double,
+  rpe: rpe,
+};
+
+function writeKeys(set, keys, value) {
+  const present = keys.filter((key) => typeof set[key] === "number");
+  for (const key of present.length > 0 ? present : [keys[0]]) {
+    set[key] = value;
+  }
+}
+
+/**
+ * Returns `{ sets, progression }`: the entry's raw sets with the next targets
+ * and a summary of the decision (null without a scheme).
+ */
+function prescribe(app, userId, entry, sessions) {
+  const exerciseId = String(entry.exercise_id || entry.exerciseId || "");
+  const sets = JSON.parse(JSON.stringify(Array.isArray(entry.sets) ? entry.sets : []));
+  if (!entry.progression || validateProgression(entry.progression, "progression") || !exerciseId || sets.length === 0) {
+    return { sets: sets, progression: null };
+  }
+
+  const config = resolveConfig(entry.progression);
+  const targets = exerciseData.normalizeExercises([{ exercise_id: exerciseId, sets: sets }])[0].sets;
+  const history = loadHistory(app, userId, exerciseId, Math.max(sessions, config.stall_sessions || 0));
+
+  const summary = {
+    exercise_id: exerciseId,
+    exercise_name: String(entry.exercise_name || entry.exerciseName || ""),
+    scheme: config.scheme,
+    config: config,
+    based_on: history.length,
+    last_completed_at: history.length > 0 ? history[0].completed_at : null,
+    decision: "none",
+    previous_weight: null,
+    next_weight: null,
+    explanation: "No completed session with this exercise yet: template targets.",
+  };
+  if (history.length === 0) {
+    return { sets: sets, progression: summary };
+  }
+
+  const result = PRESCRIBERS[config.scheme](config, targets, history);
+  const templateTop = topWeight(targets);
+
+  sets.forEach((set, i) => {
+    if (!set || typeof set !== "object") {
+      return;
+    }
+    if (result.weight > 0) {
+      const ratio = templateTop > 0 && targets[i].weight > 0 ? targets[i].weight / templateTop : 1;
+      writeKeys(set, WEIGHT_KEYS, roundWeight(result.weight * ratio));
+    }
+    if (result.reps) {
+      writeKeys(set, REPS_KEYS, result.reps);
+    }
+  });
+
+  summary.decision = result.decision;
+  summary.previous_weight = topWeight(history[0].sets);
+  summary.next_weight = result.weight > 0 ? roundWeight(result.weight) : 0;
+  summary.explanation = result.explanation;
+
+  return { sets: sets, progression: summary };
+}
+
+function findWorkout(e, rule) {
+  try {
+    const workout = e.app.findRecordById("workouts", e.request.pathValue("id"));
+    if (e.app.canAccessRecord(workout, e.requestInfo(), workout.collection()[rule])) {
+      return workout;
+    }
+  } catch (err) {
+    // Reported as not found below
+  }
+  throw new NotFoundError("Workout not found.");
+}
+
+/**
+ * Route handler for GET /api/periolifts/workouts/{id}/next?sessions=.
+ * Returns the template's exercises with the next session's targets.
+ */
+function handleNext(e) {
+  const workout = findWorkout(e, "viewRule");
+
+  let sessions = parseInt(e.request.url.query().get("sessions"), 10) || DEFAULT_SESSIONS;
+  sessions = Math.max(1, Math.min(sessions, MAX_SESSIONS));
+
+  const exercises = [];
+  const progression = [];
+  for (const entry of exerciseData.readJSONField(workout, "exercises", [])) {
+    if (!entry || typeof entry !== "object") {
+      exercises.push(entry);
+      continue;
+    }
+
+    const result = prescribe(e.app, e.auth.id, entry, sessions);
+    exercises.push(Object.assign({}, entry, { sets: result.sets }));
+    if (result.progression) {
+      progression.push(result.progression);
+    }
+  }
+
+  const system = units.responseSystem(e.app, e.requestInfo());
+  const unit = units.unitOf(system);
+  for (const summary of progression) {
+    for (const key of ["previous_weight", "next_weight"]) {
+      if (summary[key] !== null) {
+        summary[key] = units.fromKg(summary[key], unit);
+      }
+    }
+  }
+
+  return e.json(200, {
+    workout_id: workout.id,
+    name: workout.getString("name"),
+    sessions: sessions,
+    units: system || units.SYSTEMS.metric,
+    exercises: units.displayExercises(exercises, system),
+    progression: progression,
+  });
+}
+
+/**
+ * Route handler for PUT /api/periolifts/workouts/{id}/progression. Stores
+ * `{ scheme, ...options }` on every exercise entry (or the ones listed in
+ * `exercise_ids`); `scheme: "none"` removes it.
+ */
+function handleSetScheme(e) {
+  const workout = findWorkout(e, "updateRule");
+  const body = e.requestInfo().body || {};
+  const exerciseIds = body.exercise_ids;
+  const progression = {};
+  for (const [key, value] of Object.entries(body)) {
+    if (key !== "exercise_ids") {
+      progression[key] = value;
+    }
+  }
+
+  if (exerciseIds !== undefined &&
+      (!Array.isArray(exerciseIds) || exerciseIds.some((id) => typeof id !== "string"))) {
+    throw new BadRequestError("Invalid progression.", {
+      exercise_ids: new ValidationError("invalid_exercise_ids", "Must be a list of exercise ids."),
+    });
+  }
+
+  const remove = progression.scheme === "none";
+  if (!remove) {
+    const error = validateProgression(progression, "progression");
+    if (error) {
+      throw new BadRequestError("Invalid progression.", { progression: error });
+    }
+  }
+
+  const exercises = exerciseData.readJSONField(workout, "exercises", []);
+  let updated = 0;
+  for (const entry of Array.isArray(exercises) ? exercises : []) {
+    if (!entry || typeof entry !== "object" ||
+        (exerciseIds && !exerciseIds.includes(entry.exercise_id || entry.exerciseId))) {
+      continue;
+    }
+    if (remove) {
+      delete entry.progression;
+    } else {
+      entry.progression = progression;
+    }
+    updated++;
+  }
+
+  workout.set("exercises", exercises);
+  e.app.save(workout);
+
+  const system = units.responseSystem(e.app, e.requestInfo());
+
+  return e.json(200, {
+    workout_id: workout.id,
+    updated: updated,
+    units: system || units.SYSTEMS.metric,
+    exercises: units.displayExercises(exercises, system),
+  });
+}
+
+module.exports = {
+  SCHEMES,
+  DEFAULTS,
+  validateProgression,
+  handleNext,
+  handleSetScheme,
+};
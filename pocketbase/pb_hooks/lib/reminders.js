@@ -0,0 +1,325 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Reminder engine on top of notifications_outbox.
+ *
+ * enqueueAll looks ahead over today and tomorrow in each user's timezone and
+ * adds one outbox entry per reminder:
+ *
+ * - workout_reminder: a non-rest workout_plan_schedules row of an active plan,
+ *   sent at WORKOUT_REMINDER_TIME local time on the scheduled day
+ * - period_reminder: PERIOD_REMINDER_DAYS before the predicted next period
+ *   (latest period start + cycle length), sent at PERIOD_REMINDER_TIME
+ *
+ * Only users with notifications_enabled and the matching reminder preference
+ * are considered. dispatchAll sends due entries through the configured sender
+ * and cancels the ones that no longer apply (the workout moved or the
+ * preference was switched off). Failed sends are retried with a growing delay
+ * until MAX_ATTEMPTS.
+ */
+
+const cycleTracking = require(`${__hooks}/lib/cycle_tracking.js`);
+const exerciseData = require(`${__hooks}/lib/exercise_data.js`);
+const senders = require(`${__hooks}/lib/notification_senders.js`);
+const dates = require(`${__hooks}/lib/dates.js`);
+
+const LOOKAHEAD_DAYS = 1;
+const WORKOUT_REMINDER_TIME = "07:00:00";
+const PERIOD_REMINDER_TIME = "09:00:00";
+const PERIOD_REMINDER_DAYS = 2;
+const DISPATCH_BATCH = 100;
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_MINUTES = 5;
+
+const KINDS = {
+  workout: "workout_reminder",
+  period: "period_reminder",
+};
+
+const STATUS = {
+  pending: "pending",
+  sent: "sent",
+  failed: "failed",
+  cancelled: "cancelled",
+};
+
+function isWithinLookahead(date, localToday) {
+  return date >= localToday && date <= dates.addDays(localToday, LOOKAHEAD_DAYS);
+}
+
+/**
+ * Adds a pending entry unless one with the same dedupe key exists.
+ * Returns true when an entry was added.
+ */
+function enqueue(app, entry) {
+  try {
+    app.findFirstRecordByFilter("notifications_outbox", "dedupe_key = {:key}", { key: entry.dedupeKey });
+    return false;
+  } catch (err) {
+    // Not enqueued yet
+  }
+
+  const item = new Record(app.findCollectionByNameOrId("notifications_outbox"));
+  item.set("user_id", entry.userId);
+  item.set("kind", entry.kind);
+  item.set("dedupe_key", entry.dedupeKey);
+  item.set("subject", entry.subject);
+  item.set("body", entry.body);
+  item.set("payload", entry.payload);
+  item.set("send_after", entry.sendAfter);
+  item.set("status", STATUS.pending);
+  item.set("attempts", 0);
+  app.save(item);
+
+  return true;
+}
+
+function loadUpcomingWorkouts(app, utcToday) {
+  const rows = arrayOf(new DynamicModel({
+    id: "",
+    user_id: "",
+    plan_name: "",
+    workout_name: "",
+    scheduled_date: "",
+    timezone: "",
+  }));
+
+  // The UTC window covers "today" and "tomorrow" in every timezone
+  app.db().newQuery(`
+    SELECT
+      s.id,
+      p.user_id,
+      COALESCE(p.name, '') AS plan_name,
+      COALESCE(w.name, '') AS workout_name,
+      date(s.scheduled_date) AS scheduled_date,
+      COALESCE(up.timezone, '') AS timezone
+    FROM workout_plan_schedules s
+    JOIN workout_plans p ON p.id = s.plan_id
+    JOIN user_preferences up ON up.user_id = p.user_id
+    LEFT JOIN workouts w ON w.id = s.workout_id
+    WHERE p.is_active = TRUE
+      AND s.is_rest_day = FALSE
+      AND up.notifications_enabled = TRUE
+      AND up.workout_reminders_enabled = TRUE
+      AND s.scheduled_date >= {:lower}
+      AND s.scheduled_date < {:upper}
+    ORDER BY s.scheduled_date, s.sort_order
+  `).bind({
+    lower: dates.toDateTime(dates.addDays(utcToday, -1)),
+    upper: dates.toDateTime(dates.addDays(utcToday, LOOKAHEAD_DAYS + 2)),
+  }).all(rows);
+
+  return rows;
+}
+
+function enqueueWorkoutReminders(app) {
+  let added = 0;
+
+  for (const row of loadUpcomingWorkouts(app, dates.today())) {
+    if (!isWithinLookahead(row.scheduled_date, dates.localToday(row.timezone))) {
+      continue;
+    }
+
+    const name = row.workout_name || "Workout";
+    if (enqueue(app, {
+      userId: row.user_id,
+      kind: KINDS.workout,
+      dedupeKey: `workout:${row.id}:${row.scheduled_date}`,
+      subject: `Workout today: ${name}`,
+      body: row.plan_name
+        ? `${name} from your plan "${row.plan_name}" is scheduled for today.`
+        : `${name} is scheduled for today.`,
+      payload: { schedule_id: row.id, date: row.scheduled_date },
+      sendAfter: dates.localDateTime(row.scheduled_date, WORKOUT_REMINDER_TIME, row.timezone),
+    })) {
+      added++;
+    }
+  }
+
+  return added;
+}
+
+function loadPeriodReminderUsers(app) {
+  const rows = arrayOf(new DynamicModel({
+    user_id: "",
+    timezone: "",
+    average_cycle_length: -0,
+  }));
+
+  app.db().newQuery(`
+    SELECT
+      up.user_id,
+      COALESCE(up.timezone, '') AS timezone,
+      COALESCE(up.average_cycle_length, 0) AS average_cycle_length
+    FROM user_preferences up
+    WHERE up.notifications_enabled = TRUE
+      AND up.period_reminders_enabled = TRUE
+      AND EXISTS (SELECT 1 FROM cycle_logs c WHERE c.user_id = up.user_id)
+  `).all(rows);
+
+  return rows;
+}
+
+function enqueuePeriodReminders(app) {
+  let added = 0;
+
+  for (const row of loadPeriodReminderUsers(app)) {
+    const today = dates.localToday(row.timezone);
+    const periods = cycleTracking.loadPeriods(app, row.user_id, today);
+    if (periods.length === 0) {
+      continue;
+    }
+
+    const state = cycleTracking.stateFromPeriods(periods, today, row.average_cycle_length, false);
+    const predictedStart = dates.addDays(periods[periods.length - 1].start, Math.round(state.cycleLength));
+    const remindOn = dates.addDays(predictedStart, -PERIOD_REMINDER_DAYS);
+    if (!isWithinLookahead(remindOn, today)) {
+      continue;
+    }
+
+    if (enqueue(app, {
+      userId: row.user_id,
+      kind: KINDS.period,
+      dedupeKey: `period:${row.user_id}:${predictedStart}`,
+      subject: `Period expected in ${PERIOD_REMINDER_DAYS} days`,
+      body: `Based on your last cycles, your next period is expected around ${predictedStart}.`,
+      payload: { predicted_start: predictedStart, cycle_length: state.cycleLength },
+      sendAfter: dates.localDateTime(remindOn, PERIOD_REMINDER_TIME, row.timezone),
+    })) {
+      added++;
+    }
+  }
+
+  return added;
+}
+
+/**
+ * Cron entry point: enqueues upcoming workout and period reminders.
+ */
+function enqueueAll(app) {
+  let workouts = 0;
+  let periods = 0;
+
+  try {
+    workouts = enqueueWorkoutReminders(app);
+  } catch (err) {
+    app.logger().error("Failed to enqueue workout reminders", "error", String(err));
+  }
+  try {
+    periods = enqueuePeriodReminders(app);
+  } catch (err) {
+    app.logger().error("Failed to enqueue period reminders", "error", String(err));
+  }
+
+  app.logger().info("Enqueued reminders", "workouts", workouts, "periods", periods);
+}
+
+/**
+ * Whether a due entry should still be sent: the preference is still on and,
+ * for workouts, the schedule row is still on the same (not yet past) day.
+ */
+function isStillRelevant(app, item) {
+  const preferences = cycleTracking.findPreferences(app, item.getString("user_id"));
+  if (!preferences || !preferences.getBool("notifications_enabled")) {
+    return false;
+  }
+
+  if (item.getString("kind") === KINDS.period) {
+    return preferences.getBool("period_reminders_enabled");
+  }
+
+  const payload = exerciseData.readJSONField(item, "payload", {});
+
+  if (!preferences.getBool("workout_reminders_enabled") ||
+      payload.date < dates.localToday(preferences.getString("timezone"))) {
+    return false;
+  }
+
+  try {
+    const schedule = app.findRecordById("workout_plan_schedules", payload.schedule_id);
+    const plan = app.findRecordById("workout_plans", schedule.getString("plan_id"));
+    return plan.getBool("is_active") &&
+      !schedule.getBool("is_rest_day") &&
+      dates.recordDate(schedule, "scheduled_date") === payload.date;
+  } catch (err) {
+    return false;
+  }
+}
+
+function retryAt(attempts) {
+  const delay = attempts * RETRY_DELAY_MINUTES * 60 * 1000;
+  return new DateTime(new Date(Date.now() + delay).toISOString());
+}
+
+function deliver(app, item, sender) {
+  if (!isStillRelevant(app, item)) {
+    item.set("status", STATUS.cancelled);
+    app.save(item);
+    return STATUS.cancelled;
+  }
+
+  const attempts = item.getInt("attempts") + 1;
+  item.set("attempts", attempts);
+  item.set("channel", sender.channel);
+
+  try {
+    sender.send(app, item, app.findRecordById("users", item.getString("user_id")));
+    item.set("status", STATUS.sent);
+    item.set("sent_at", new DateTime());
+    item.set("last_error", "");
+  } catch (err) {
+    item.set("last_error", String(err).slice(0, 1000));
+    if (attempts >= MAX_ATTEMPTS) {
+      item.set("status", STATUS.failed);
+    } else {
+      item.set("send_after", retryAt(attempts));
+    }
+  }
+
+  app.save(item);
+  return item.getString("status");
+}
+
+/**
+ * Cron entry point: sends up to DISPATCH_BATCH due entries.
+ */
+function dispatchAll(app) {
+  const sender = senders.configuredSender();
+  if (!sender) {
+    app.logger().error("Unknown notification sender",
+      "sender", $os.getenv("PB_NOTIFICATIONS_SENDER"),
+      "available", Object.keys(senders.SENDERS).join(", "));
+    return;
+  }
+
+  const due = app.findRecordsByFilter(
+    "notifications_outbox",
+    "status = {:status} && send_after <= {:now}",
+    "send_after",
+    DISPATCH_BATCH,
+    0,
+    { status: STATUS.pending, now: new DateTime() }
+  );
+  if (due.length === 0) {
+    return;
+  }
+
+  const counts = { sent: 0, pending: 0, failed: 0, cancelled: 0 };
+  for (const item of due) {
+    try {
+      counts[deliver(app, item, sender)]++;
+    } catch (err) {
+      app.logger().error("Failed to dispatch notification", "id", item.id, "error", String(err));
+    }
+  }
+
+  app.logger().info("Dispatched notifications", "channel", sender.channel,
+    "sent", counts.sent, "retrying", counts.pending, "failed", counts.failed, "cancelled", counts.cancelled);
+}
+
+module.exports = {
+  KINDS,
+  STATUS,
+  enqueueAll,
+  dispatchAll,
+};
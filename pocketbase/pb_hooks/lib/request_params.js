@@ -0,0 +1,84 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Query parameter helpers shared by the /api/periolifts routes.
+ */
+
+const dates = require(`${__hooks}/lib/dates.js`);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Reads an optional `YYYY-MM-DD` query parameter. Throws a field-level
+ * BadRequestError for malformed values.
+ */
+function readDateParam(e, name, fallback) {
+  const value = (e.request.url.query().get(name) || "").trim();
+  if (!value) {
+    return fallback;
+  }
+
+  if (!DATE_PATTERN.test(value) || isNaN(dates.parseDate(value).getTime())) {
+    throw new BadRequestError("Invalid date parameter.", {
+      [name]: new ValidationError("invalid_date", "Must be a date in YYYY-MM-DD format."),
+    });
+  }
+
+  return value;
+}
+
+/**
+ * Reads the inclusive `from`/`to` date range (YYYY-MM-DD) from the query.
+ * Defaults to the last `defaultDays` days ending today (UTC). With `maxDays`,
+ * longer ranges are rejected.
+ *
+ * Returns `{ from, to, lower, upper }` where `lower`/`upper` are PocketBase
+ * datetime strings for a half-open `[lower, upper)` filter.
+ */
+function readDateRange(e, defaultDays, maxDays) {
+  const to = readDateParam(e, "to", dates.today());
+  const from = readDateParam(e, "from", dates.addDays(to, -(defaultDays - 1)));
+
+  if (from > to) {
+    throw new BadRequestError("Invalid date range.", {
+      from: new ValidationError("invalid_range", "from must not be after to."),
+    });
+  }
+
+  if (maxDays && dates.daysBetween(from, to) >= maxDays) {
+    throw new BadRequestError("Invalid date range.", {
+      to: new ValidationError("range_too_long", `The range must not exceed ${maxDays} days.`),
+    });
+  }
+
+  return {
+    from: from,
+    to: to,
+    lower: dates.toDateTime(from),
+    upper: dates.toDateTime(dates.addDays(to, 1)),
+  };
+}
+
+/**
+ * Reads a query parameter that must be one of `allowed`.
+ */
+function readEnumParam(e, name, allowed, fallback) {
+  const value = (e.request.url.query().get(name) || "").trim();
+  if (!value) {
+    return fallback;
+  }
+
+  if (!allowed.includes(value)) {
+    throw new BadRequestError("Invalid query parameter.", {
+      [name]: new ValidationError("invalid_value", `Must be one of: ${allowed.join(", ")}.`),
+    });
+  }
+
+  return value;
+}
+
+module.exports = {
+  readDateParam,
+  readDateRange,
+  readEnumParam,
+};
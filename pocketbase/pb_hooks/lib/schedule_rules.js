@@ -0,0 +1,337 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Materializes schedule_rules into concrete workout_plan_schedules rows.
+ *
+ * A rule matches every date from start_date up to its end (end_date, else
+ * start_date + duration_weeks, else open-ended) whose weekday is listed in
+ * days_of_week. Matching dates cycle through workout_rotation in order,
+ * counted from start_date, so the A/B pattern stays stable however the
+ * window moves. Skipped dates still use up their slot in the rotation.
+ *
+ * `exceptions` is a list of per-date overrides:
+ *
+ *   [{ "date": "2025-03-14", "type": "skip" },
+ *    { "date": "2025-03-17", "type": "replace", "workout_id": "..." }]
+ *
+ * Rows are only generated for the rolling window starting today
+ * (PB_SCHEDULE_WINDOW_DAYS, default 28). Past rows are never touched.
+ */
+
+const dates = require(`${__hooks}/lib/dates.js`);
+const exerciseData = require(`${__hooks}/lib/exercise_data.js`);
+
+const DEFAULT_WINDOW_DAYS = 28;
+const EXCEPTION_TYPES = ["skip", "replace"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function windowDays() {
+  const value = parseInt($os.getenv("PB_SCHEDULE_WINDOW_DAYS"), 10);
+  return value > 0 ? value : DEFAULT_WINDOW_DAYS;
+}
+
+/**
+ * Last date (inclusive) the rule applies to, or "" when open-ended.
+ */
+function ruleEndDate(rule) {
+  const endDate = dates.recordDate(rule, "end_date");
+  if (endDate) {
+    return endDate;
+  }
+
+  const weeks = rule.getInt("duration_weeks");
+  if (weeks > 0) {
+    return dates.addDays(dates.recordDate(rule, "start_date"), weeks * 7 - 1);
+  }
+
+  return "";
+}
+
+function exceptionsByDate(rule) {
+  const byDate = {};
+  const exceptions = exerciseData.readJSONField(rule, "exceptions", []);
+  if (Array.isArray(exceptions)) {
+    for (const exception of exceptions) {
+      if (exception && exception.date) {
+        byDate[exception.date] = exception;
+      }
+    }
+  }
+  return byDate;
+}
+
+/**
+ * Returns `[{ date, workout_id }]` for every date in `[fromDate, toDate]`
+ * (inclusive, YYYY-MM-DD) the rule schedules a workout on.
+ */
+function occurrences(rule, fromDate, toDate) {
+  const startDate = dates.recordDate(rule, "start_date");
+  const rotation = rule.getStringSlice("workout_rotation");
+  const days = rule.getStringSlice("days_of_week");
+  if (!startDate || rotation.length === 0 || days.length === 0) {
+    return [];
+  }
+
+  const endDate = ruleEndDate(rule);
+  const last = endDate && endDate < toDate ? endDate : toDate;
+  const exceptions = exceptionsByDate(rule);
+  const result = [];
+
+  let slot = 0;
+  for (let date = startDate; date <= last; date = dates.addDays(date, 1)) {
+    if (!days.includes(dates.dayOfWeek(date))) {
+      continue;
+    }
+
+    let workoutId = rotation[slot % rotation.length];
+    slot++;
+
+    const exception = exceptions[date];
+    if (exception && exception.type === "skip") {
+      continue;
+    }
+    if (exception && exception.type === "replace") {
+      workoutId = exception.workout_id;
+    }
+
+    if (date >= fromDate) {
+      result.push({ date: date, workout_id: workoutId });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Deletes the rule's rows from today onwards.
+ */
+function removeFutureRows(app, ruleId) {
+  const rows = app.findRecordsByFilter(
+    "workout_plan_schedules",
+    "rule_id = {:rule} && scheduled_date >= {:today}",
+    "",
+    0,
+    0,
+    { rule: ruleId, today: dates.toDateTime(dates.today()) }
+  );
+
+  for (const row of rows) {
+    app.delete(row);
+  }
+
+  return rows.length;
+}
+
+function rowExists(app, planId, workoutId, date) {
+  try {
+    app.findFirstRecordByFilter(
+      "workout_plan_schedules",
+      "plan_id = {:plan} && workout_id = {:workout} && scheduled_date = {:date}",
+      { plan: planId, workout: workoutId, date: dates.toDateTime(date) }
+    );
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Whether the missed workout cron moved this slot's row to another date
+ * (see lib/missed_workouts.js); such slots must not be filled again.
+ */
+function movedAway(app, planId, workoutId, date) {
+  try {
+    app.findFirstRecordByFilter(
+      "schedule_moves",
+      "plan_id = {:plan} && workout_id = {:workout} && from_date = {:date} && undone_at = ''",
+      { plan: planId, workout: workoutId, date: dates.toDateTime(date) }
+    );
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Creates the missing rows for the rule within the rolling window. With
+ * `regenerate`, the rule's future rows are deleted and rebuilt first, so
+ * edits to the rule take effect (including undoing earlier moves of them).
+ * Returns the number of rows created.
+ */
+function materialize(app, rule, regenerate) {
+  if (regenerate) {
+    removeFutureRows(app, rule.id);
+  }
+  if (rule.getBool("paused")) {
+    return 0;
+  }
+
+  const today = dates.today();
+  const collection = app.findCollectionByNameOrId("workout_plan_schedules");
+  const planId = rule.getString("plan_id");
+  let created = 0;
+
+  for (const occurrence of occurrences(rule, today, dates.addDays(today, windowDays() - 1))) {
+    // A manual row (or another rule) already covers this slot
+    if (rowExists(app, planId, occurrence.workout_id, occurrence.date)) {
+      continue;
+    }
+    if (!regenerate && movedAway(app, planId, occurrence.workout_id, occurrence.date)) {
+      continue;
+    }
+
+    const row = new Record(collection);
+    row.set("plan_id", planId);
+    row.set("workout_id", occurrence.workout_id);
+    row.set("scheduled_date", dates.toDateTime(occurrence.date));
+    row.set("day_of_week", dates.dayOfWeek(occurrence.date));
+    row.set("sort_order", 0);
+    row.set("is_rest_day", false);
+    row.set("rule_id", rule.id);
+    app.save(row);
+    created++;
+  }
+
+  return created;
+}
+
+/**
+ * Extends every active rule to the end of the rolling window.
+ */
+function materializeAll(app) {
+  const rules = app.findRecordsByFilter("schedule_rules", "paused = false", "", 0, 0);
+  let created = 0;
+
+  for (const rule of rules) {
+    try {
+      app.runInTransaction((txApp) => {
+        created += materialize(txApp, rule, false);
+      });
+    } catch (err) {
+      app.logger().error("Failed to materialize schedule rule", "rule", rule.id, "error", String(err));
+    }
+  }
+
+  app.logger().info("Materialized schedule rules", "rules", rules.length, "created", created);
+}
+
+function checkExceptions(exceptions, ownedWorkouts) {
+  if (exceptions === null || exceptions === undefined) {
+    return null;
+  }
+  if (!Array.isArray(exceptions)) {
+    return new ValidationError("invalid_exceptions", "Must be a list of exceptions.");
+  }
+
+  for (let i = 0; i < exceptions.length; i++) {
+    const exception = exceptions[i];
+    const path = `exceptions[${i}]`;
+
+    if (!exception || typeof exception !== "object" || Array.isArray(exception)) {
+      return new ValidationError("invalid_exception", `${path} must be an object.`);
+    }
+    if (typeof exception.date !== "string" || !DATE_PATTERN.test(exception.date)) {
+      return new ValidationError("invalid_exception_date", `${path}.date must be a date in YYYY-MM-DD format.`);
+    }
+    if (!EXCEPTION_TYPES.includes(exception.type)) {
+      return new ValidationError("invalid_exception_type", `${path}.type must be one of: ${EXCEPTION_TYPES.join(", ")}.`);
+    }
+    if (exception.type === "replace" && !ownedWorkouts.has(exception.workout_id)) {
+      return new ValidationError("invalid_exception_workout", `${path}.workout_id must be a workout of the plan owner.`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Request hook for schedule_rules create/update: checks the date range,
+ * that every referenced workout belongs to the plan owner and the shape of
+ * `exceptions`.
+ */
+function validateRequest(e) {
+  const rule = e.record;
+  const errors = {};
+
+  const startDate = dates.recordDate(rule, "start_date");
+  const endDate = dates.recordDate(rule, "end_date");
+  if (startDate && endDate && endDate < startDate) {
+    errors.end_date = new ValidationError("invalid_range", "end_date must not be before start_date.");
+  }
+
+  let ownerId = "";
+  try {
+    ownerId = e.app.findRecordById("workout_plans", rule.getString("plan_id")).getString("user_id");
+  } catch (err) {
+    // Missing plans are reported by the required relation validator
+  }
+
+  const workoutIds = rule.getStringSlice("workout_rotation").slice();
+  const exceptions = exerciseData.readJSONField(rule, "exceptions", null);
+  if (Array.isArray(exceptions)) {
+    for (const exception of exceptions) {
+      if (exception && exception.type === "replace" && typeof exception.workout_id === "string") {
+        workoutIds.push(exception.workout_id);
+      }
+    }
+  }
+
+  const owned = new Set();
+  if (ownerId && workoutIds.length > 0) {
+    for (const workout of e.app.findRecordsByIds("workouts", workoutIds)) {
+      if (workout.getString("user_id") === ownerId) {
+        owned.add(workout.id);
+      }
+    }
+  }
+
+  if (rule.getStringSlice("workout_rotation").some((id) => !owned.has(id))) {
+    errors.workout_rotation = new ValidationError("invalid_workout", "Every workout must belong to the plan owner.");
+  }
+
+  const exceptionsError = checkExceptions(exceptions, owned);
+  if (exceptionsError) {
+    errors.exceptions = exceptionsError;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new BadRequestError("Invalid schedule rule.", errors);
+  }
+
+  e.next();
+}
+
+/**
+ * Model hook for schedule_rules create/update: saves the rule and rebuilds
+ * its future rows in the same transaction.
+ */
+function handleRuleSave(e) {
+  e.app.runInTransaction((txApp) => {
+    e.app = txApp;
+    e.next();
+    materialize(txApp, e.record, true);
+  });
+}
+
+/**
+ * Model hook for schedule_rules delete: drops the rule's future rows. Past
+ * rows are kept as history, with their rule_id cleared.
+ */
+function handleRuleDelete(e) {
+  e.app.runInTransaction((txApp) => {
+    e.app = txApp;
+    removeFutureRows(txApp, e.record.id);
+    e.next();
+  });
+}
+
+module.exports = {
+  ruleEndDate,
+  occurrences,
+  materialize,
+  materializeAll,
+  removeFutureRows,
+  validateRequest,
+  handleRuleSave,
+  handleRuleDelete,
+};
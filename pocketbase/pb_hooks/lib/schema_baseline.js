@@ -0,0 +1,66 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Indexes the schema baseline migration (1763100100_schema_baseline.js) and
+ * the calendar normalization migration are expected to have created.
+ * Keep this list in sync when a migration adds or drops an index.
+ */
+const EXPECTED_INDEXES = {
+  workouts: ["idx_workouts_user", "idx_workouts_created"],
+  workout_plans: ["idx_workout_plans_user", "idx_workout_plans_created"],
+  workout_sessions: [
+    "idx_workout_sessions_user",
+    "idx_workout_sessions_created",
+    "idx_sessions_user_status",
+    "idx_sessions_open_activity",
+  ],
+  workout_history: [
+    "idx_workout_history_user",
+    "idx_workout_history_created",
+    "idx_history_user_completed",
+    "idx_history_session_unique",
+  ],
+  exercises: ["idx_exercises_category", "idx_exercises_name"],
+  workout_plan_schedules: [
+    "idx_date_range",
+    "idx_plan_date",
+    "idx_day_of_week",
+    "idx_plan_workout_date",
+    "idx_rule_date",
+  ],
+  schedule_rules: ["idx_rules_plan"],
+  schedule_moves: ["idx_moves_batch", "idx_moves_plan_from"],
+  user_preferences: ["idx_user_preferences_calendar_token"],
+  cycle_logs: ["idx_cycle_logs_user_start"],
+  notifications_outbox: ["idx_outbox_dedupe", "idx_outbox_status_send", "idx_outbox_user"],
+};
+
+/**
+ * Returns `[{ table, index }]` for every expected index that is missing
+ * from the database.
+ */
+function findMissingIndexes(app) {
+  const missing = [];
+
+  for (const [table, indexes] of Object.entries(EXPECTED_INDEXES)) {
+    const rows = arrayOf(new DynamicModel({ name: "" }));
+    app.db()
+      .newQuery("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = {:table}")
+      .bind({ table: table })
+      .all(rows);
+
+    const existing = new Set(rows.map((row) => row.name));
+    for (const index of indexes) {
+      if (!existing.has(index)) {
+        missing.push({ table, index });
+      }
+    }
+  }
+
+  return missing;
+}
+
+module.exports = {
+  EXPECTED_INDEXES,
+  findMissingIndexes,
+};
@@ -0,0 +1,205 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Idempotent, environment-aware seeding.
+ *
+ * PB_SEED_PROFILE selects the built-in datasets (see lib/seed_data.js):
+ * - none (default): seed nothing
+ * - demo: the shared exercise library
+ * - dev: exercise library, test user (PB_TEST_EMAIL/PB_TEST_PASSWORD) and test workouts
+ *
+ * PB_SEED_FIXTURES can point at a directory of `*.json` fixture files, loaded
+ * in file name order after the profile datasets:
+ *
+ *   { "collection": "exercises", "key": ["name", "is_custom"], "records": [...] }
+ *
+ * Records are looked up by their `key` fields and only created when missing,
+ * so reruns never duplicate rows and never overwrite existing ones (edits made
+ * in the admin UI, or rows that existed before seeding).
+ * Values of the form `{ "$ref": "<collection>", "where": { ... } }` are
+ * replaced with the id of the matching record.
+ *
+ * Every record the seeder created is registered in seed_registry; rolling
+ * back migration 1763100500_create_seed_registry.js removes them again.
+ */
+
+const seedData = require(`${__hooks}/lib/seed_data.js`);
+
+const FIELD_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function buildFilter(where) {
+  const keys = Object.keys(where);
+  const params = {};
+
+  const parts = keys.map((key, i) => {
+    if (!FIELD_NAME.test(key)) {
+      throw new Error(`Invalid seed key field: ${key}`);
+    }
+    params[`p${i}`] = where[key];
+    return `${key} = {:p${i}}`;
+  });
+
+  return { filter: parts.join(" && "), params: params };
+}
+
+function findByKey(app, collectionName, where) {
+  const query = buildFilter(where);
+  try {
+    return app.findFirstRecordByFilter(collectionName, query.filter, query.params);
+  } catch (e) {
+    return null;
+  }
+}
+
+function resolveRefs(app, value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveRefs(app, item));
+  }
+
+  if (value && typeof value === "object") {
+    if (typeof value.$ref === "string") {
+      const target = findByKey(app, value.$ref, value.where || {});
+      if (!target) {
+        throw new Error(`Seed reference not found: ${value.$ref} ${JSON.stringify(value.where)}`);
+      }
+      return target.id;
+    }
+
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = resolveRefs(app, item);
+    }
+    return resolved;
+  }
+
+  return value;
+}
+
+function register(app, profile, record, naturalKey) {
+  const existing = findByKey(app, "seed_registry", {
+    collection_name: record.collection().name,
+    record_id: record.id,
+  });
+  if (existing) {
+    return;
+  }
+
+  const entry = new Record(app.findCollectionByNameOrId("seed_registry"));
+  entry.set("profile", profile);
+  entry.set("collection_name", record.collection().name);
+  entry.set("record_id", record.id);
+  entry.set("natural_key", naturalKey);
+  app.save(entry);
+}
+
+/**
+ * Creates the records of a dataset that do not exist yet. Returns
+ * `{ created, skipped }`.
+ */
+function seedDataset(app, dataset, profile) {
+  if (!dataset || !dataset.collection || !Array.isArray(dataset.key) || !Array.isArray(dataset.records)) {
+    throw new Error("Seed datasets need a collection, a key array and a records array");
+  }
+
+  const collection = app.findCollectionByNameOrId(dataset.collection);
+  const counts = { created: 0, skipped: 0 };
+
+  for (const data of dataset.records) {
+    const values = resolveRefs(app, data);
+
+    const where = {};
+    for (const key of dataset.key) {
+      where[key] = values[key];
+    }
+
+    if (findByKey(app, collection.name, where)) {
+      counts.skipped++;
+      continue;
+    }
+
+    const record = new Record(collection);
+    for (const [field, value] of Object.entries(values)) {
+      if (field === "password") {
+        record.setPassword(value);
+        continue;
+      }
+      record.set(field, value);
+    }
+
+    app.save(record);
+    register(app, profile, record, JSON.stringify(where));
+    counts.created++;
+  }
+
+  return counts;
+}
+
+/**
+ * Loads every `*.json` fixture file in `dir`, in file name order.
+ */
+function loadFixtures(app, dir, profile) {
+  const names = $os.readDir(dir)
+    .filter((entry) => !entry.isDir() && entry.name().endsWith(".json"))
+    .map((entry) => entry.name())
+    .sort();
+
+  const counts = { created: 0, skipped: 0 };
+  for (const name of names) {
+    const dataset = JSON.parse(toString($os.readFile($filepath.join(dir, name))));
+    const result = seedDataset(app, dataset, profile);
+    counts.created += result.created;
+    counts.skipped += result.skipped;
+  }
+
+  return counts;
+}
+
+/**
+ * Seeds according to PB_SEED_PROFILE and PB_SEED_FIXTURES in one transaction.
+ */
+function runFromEnv(app) {
+  const profile = ($os.getenv("PB_SEED_PROFILE") || "none").trim().toLowerCase();
+  const datasets = seedData.datasetsFor(profile);
+  if (!datasets) {
+    app.logger().error("Unknown PB_SEED_PROFILE, skipping seeding", "profile", profile,
+      "allowed", Object.keys(seedData.PROFILES).join(", "));
+    return;
+  }
+
+  if (profile === "none") {
+    return;
+  }
+
+  try {
+    app.findCollectionByNameOrId("seed_registry");
+  } catch (e) {
+    app.logger().warn("seed_registry collection missing, skipping seeding");
+    return;
+  }
+
+  const fixturesDir = ($os.getenv("PB_SEED_FIXTURES") || "").trim();
+  const counts = { created: 0, skipped: 0 };
+
+  app.runInTransaction((txApp) => {
+    const add = (result) => {
+      counts.created += result.created;
+      counts.skipped += result.skipped;
+    };
+
+    for (const dataset of datasets) {
+      add(seedDataset(txApp, dataset, profile));
+    }
+    if (fixturesDir) {
+      add(loadFixtures(txApp, fixturesDir, profile));
+    }
+  });
+
+  app.logger().info("Seeding complete", "profile", profile,
+    "created", counts.created, "skipped", counts.skipped);
+}
+
+module.exports = {
+  seedDataset,
+  loadFixtures,
+  runFromEnv,
+};
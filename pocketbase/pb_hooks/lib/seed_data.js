@@ -0,0 +1,286 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Built-in seed datasets for the PB_SEED_PROFILE profiles.
+ *
+ * Each dataset has the same shape as a JSON fixture file:
+ * `{ collection, key, records }`, where `key` lists the natural key fields
+ * used for upserts and `{ $ref, where }` values are resolved to record ids.
+ */
+
+function exercise(name) {
+  return { $ref: "exercises", where: { name: name, is_custom: false } };
+}
+
+const testUser = { $ref: "users", where: { email: $os.getenv("PB_TEST_EMAIL") || "test@example.com" } };
+
+const EXERCISES = [
+  {
+    name: "Push-ups",
+    category: "strength",
+    description: "A bodyweight exercise that targets chest, shoulders, and triceps",
+    muscle_groups: ["chest", "triceps", "shoulders"],
+    is_custom: false
+  },
+  {
+    name: "Squats",
+    category: "strength",
+    description: "A compound exercise that targets quadriceps, glutes, and hamstrings",
+    muscle_groups: ["quadriceps", "glutes", "hamstrings"],
+    is_custom: false
+  },
+  {
+    name: "Plank",
+    category: "core",
+    description: "An isometric core strengthening exercise",
+    muscle_groups: ["core", "shoulders"],
+    is_custom: false
+  },
+  {
+    name: "Lunges",
+    category: "strength",
+    description: "A unilateral leg exercise targeting quadriceps, glutes, and stabilizers",
+    muscle_groups: ["quadriceps", "glutes", "hamstrings", "calves"],
+    is_custom: false
+  },
+  {
+    name: "Jumping Jacks",
+    category: "cardio",
+    description: "A simple cardiovascular exercise",
+    muscle_groups: ["full_body"],
+    is_custom: false
+  }
+];
+
+const TEST_USERS = [
+  {
+    email: $os.getenv("PB_TEST_EMAIL") || "test@example.com",
+    password: $os.getenv("PB_TEST_PASSWORD") || "test_password_123",
+    verified: true
+  }
+];
+
+const WORKOUTS = [
+  {
+    name: "Full Body Strength",
+    description: "A comprehensive strength workout targeting all major muscle groups",
+    estimated_duration: 45,
+    exercises: [
+      {
+        exercise_id: exercise("Push-ups"),
+        exercise_name: "Push-ups",
+        sets: [
+          { reps: 10, weight: 0, rest_time: 60 },
+          { reps: 10, weight: 0, rest_time: 60 },
+          { reps: 8, weight: 0, rest_time: 90 }
+        ]
+      },
+      {
+        exercise_id: exercise("Squats"),
+        exercise_name: "Squats",
+        sets: [
+          { reps: 15, weight: 0, rest_time: 60 },
+          { reps: 15, weight: 0, rest_time: 60 },
+          { reps: 12, weight: 0, rest_time: 90 }
+        ]
+      },
+      {
+        exercise_id: exercise("Lunges"),
+        exercise_name: "Lunges",
+        sets: [
+          { reps: 12, weight: 0, rest_time: 60 },
+          { reps: 12, weight: 0, rest_time: 60 },
+          { reps: 10, weight: 0, rest_time: 90 }
+        ]
+      },
+      {
+        exercise_id: exercise("Plank"),
+        exercise_name: "Plank",
+        sets: [
+          { reps: 30, weight: 0, rest_time: 60, notes: "Hold for 30 seconds" },
+          { reps: 30, weight: 0, rest_time: 60, notes: "Hold for 30 seconds" },
+          { reps: 45, weight: 0, rest_time: 90, notes: "Hold for 45 seconds" }
+        ]
+      }
+    ],
+    user_id: testUser,
+    is_completed: false,
+    is_in_progress: false
+  },
+  {
+    name: "Quick Cardio Blast",
+    description: "High-intensity cardio workout to get your heart pumping",
+    estimated_duration: 20,
+    exercises: [
+      {
+        exercise_id: exercise("Jumping Jacks"),
+        exercise_name: "Jumping Jacks",
+        sets: [
+          { reps: 30, weight: 0, rest_time: 30 },
+          { reps: 30, weight: 0, rest_time: 30 },
+          { reps: 40, weight: 0, rest_time: 60 }
+        ]
+      },
+      {
+        exercise_id: exercise("Push-ups"),
+        exercise_name: "Push-ups",
+        sets: [
+          { reps: 15, weight: 0, rest_time: 45 },
+          { reps: 12, weight: 0, rest_time: 45 },
+          { reps: 10, weight: 0, rest_time: 60 }
+        ]
+      },
+      {
+        exercise_id: exercise("Squats"),
+        exercise_name: "Squats",
+        sets: [
+          { reps: 20, weight: 0, rest_time: 30 },
+          { reps: 20, weight: 0, rest_time: 30 },
+          { reps: 15, weight: 0, rest_time: 60 }
+        ]
+      }
+    ],
+    user_id: testUser,
+    is_completed: false,
+    is_in_progress: false
+  },
+  {
+    name: "Core Focus",
+    description: "Strengthen your core with this focused workout",
+    estimated_duration: 30,
+    exercises: [
+      {
+        exercise_id: exercise("Plank"),
+        exercise_name: "Plank",
+        sets: [
+          { reps: 45, weight: 0, rest_time: 60, notes: "Hold for 45 seconds" },
+          { reps: 60, weight: 0, rest_time: 60, notes: "Hold for 60 seconds" },
+          { reps: 45, weight: 0, rest_time: 60, notes: "Hold for 45 seconds" },
+          { reps: 30, weight: 0, rest_time: 90, notes: "Hold for 30 seconds" }
+        ]
+      },
+      {
+        exercise_id: exercise("Push-ups"),
+        exercise_name: "Push-ups",
+        sets: [
+          { reps: 12, weight: 0, rest_time: 60 },
+          { reps: 10, weight: 0, rest_time: 60 },
+          { reps: 8, weight: 0, rest_time: 60 }
+        ]
+      },
+      {
+        exercise_id: exercise("Lunges"),
+        exercise_name: "Lunges",
+        sets: [
+          { reps: 10, weight: 0, rest_time: 45 },
+          { reps: 10, weight: 0, rest_time: 45 }
+        ]
+      }
+    ],
+    user_id: testUser,
+    is_completed: false,
+    is_in_progress: false
+  },
+  {
+    name: "Beginner Friendly",
+    description: "Perfect for those just starting their fitness journey",
+    estimated_duration: 25,
+    exercises: [
+      {
+        exercise_id: exercise("Squats"),
+        exercise_name: "Squats",
+        sets: [
+          { reps: 10, weight: 0, rest_time: 60 },
+          { reps: 10, weight: 0, rest_time: 60 }
+        ]
+      },
+      {
+        exercise_id: exercise("Push-ups"),
+        exercise_name: "Push-ups",
+        sets: [
+          { reps: 5, weight: 0, rest_time: 90, notes: "Modified push-ups if needed" },
+          { reps: 5, weight: 0, rest_time: 90, notes: "Modified push-ups if needed" },
+          { reps: 5, weight: 0, rest_time: 90, notes: "Modified push-ups if needed" }
+        ]
+      },
+      {
+        exercise_id: exercise("Plank"),
+        exercise_name: "Plank",
+        sets: [
+          { reps: 20, weight: 0, rest_time: 90, notes: "Hold for 20 seconds" },
+          { reps: 20, weight: 0, rest_time: 90, notes: "Hold for 20 seconds" }
+        ]
+      }
+    ],
+    user_id: testUser,
+    is_completed: false,
+    is_in_progress: false
+  },
+  {
+    name: "Lower Body Power",
+    description: "Build strength and power in your legs and glutes",
+    estimated_duration: 40,
+    exercises: [
+      {
+        exercise_id: exercise("Squats"),
+        exercise_name: "Squats",
+        sets: [
+          { reps: 15, weight: 0, rest_time: 60 },
+          { reps: 15, weight: 0, rest_time: 60 },
+          { reps: 12, weight: 0, rest_time: 60 },
+          { reps: 10, weight: 0, rest_time: 90 }
+        ]
+      },
+      {
+        exercise_id: exercise("Lunges"),
+        exercise_name: "Lunges",
+        sets: [
+          { reps: 12, weight: 0, rest_time: 60 },
+          { reps: 12, weight: 0, rest_time: 60 },
+          { reps: 10, weight: 0, rest_time: 60 },
+          { reps: 10, weight: 0, rest_time: 90 }
+        ]
+      },
+      {
+        exercise_id: exercise("Jumping Jacks"),
+        exercise_name: "Jumping Jacks",
+        sets: [
+          { reps: 25, weight: 0, rest_time: 45 },
+          { reps: 25, weight: 0, rest_time: 45 }
+        ],
+        notes: "Active recovery between strength exercises"
+      }
+    ],
+    user_id: testUser,
+    is_completed: false,
+    is_in_progress: false
+  }
+];
+
+const DATASETS = {
+  exercises: { collection: "exercises", key: ["name", "is_custom"], records: EXERCISES },
+  test_user: { collection: "users", key: ["email"], records: TEST_USERS },
+  workouts: { collection: "workouts", key: ["user_id", "name"], records: WORKOUTS },
+};
+
+// Datasets per profile, in load order
+const PROFILES = {
+  none: [],
+  demo: ["exercises"],
+  dev: ["exercises", "test_user", "workouts"],
+};
+
+/**
+ * Returns the datasets for `profile`, or null for an unknown profile.
+ */
+function datasetsFor(profile) {
+  if (!PROFILES[profile]) {
+    return null;
+  }
+  return PROFILES[profile].map((name) => DATASETS[name]);
+}
+
+module.exports = {
+  PROFILES,
+  datasetsFor,
+};
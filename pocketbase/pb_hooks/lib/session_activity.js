@@ -0,0 +1,156 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Activity tracking for open workout_sessions.
+ *
+ * - last_activity_at is stamped when a session is created and whenever its
+ *   `exercise_data` (the logged sets) changes; `revision` counts those changes
+ * - a user can only have one session in progress; saving a second one fails
+ *   unless the open one has been idle for PB_SESSION_IDLE_HOURS, in which
+ *   case it is closed first
+ * - a cron closes sessions idle for PB_SESSION_IDLE_HOURS (default 12)
+ *   according to user_preferences.abandoned_session_action:
+ *   - finalize (or empty): completed as partial at the last activity, which
+ *     writes a workout_history row (is_partial) like any completed session
+ *   - discard: the session is deleted
+ *   Sessions without a single completed set are always discarded.
+ */
+
+const exerciseData = require(`${__hooks}/lib/exercise_data.js`);
+
+const DEFAULT_IDLE_HOURS = 12;
+
+const ACTIONS = {
+  finalize: "finalize",
+  discard: "discard",
+};
+
+function idleHours() {
+  const value = parseFloat($os.getenv("PB_SESSION_IDLE_HOURS"));
+  return value > 0 ? value : DEFAULT_IDLE_HOURS;
+}
+
+function idleCutoff() {
+  return new DateTime(new Date(Date.now() - idleHours() * 60 * 60 * 1000).toISOString());
+}
+
+function lastActivity(session) {
+  const stamped = session.getDateTime("last_activity_at");
+  return stamped.isZero() ? session.getDateTime("updated") : stamped;
+}
+
+function abandonedAction(app, userId) {
+  try {
+    const preferences = app.findFirstRecordByFilter("user_preferences", "user_id = {:user}", { user: userId });
+    return preferences.getString("abandoned_session_action") || ACTIONS.finalize;
+  } catch (err) {
+    return ACTIONS.finalize;
+  }
+}
+
+/**
+ * Finalizes or discards an abandoned session. Returns "finalized" or
+ * "discarded".
+ */
+function closeSession(app, session, action) {
+  const summary = exerciseData.summarizeExercises(
+    exerciseData.normalizeExercises(exerciseData.readJSONField(session, "exercise_data", []))
+  );
+
+  if (action === ACTIONS.discard || summary.total_sets === 0) {
+    app.delete(session);
+    return "discarded";
+  }
+
+  session.set("is_partial", true);
+  session.set("completed_at", lastActivity(session));
+  session.set("is_completed", true);
+  app.save(session);
+  return "finalized";
+}
+
+/**
+ * Throws when the user already has another session in progress, closing it
+ * first if it has been idle past the cutoff.
+ */
+function ensureSingleInProgress(app, session) {
+  if (session.getBool("is_completed")) {
+    return;
+  }
+
+  const open = app.findRecordsByFilter(
+    "workout_sessions",
+    "user_id = {:user} && is_completed = false && id != {:id}",
+    "-started_at",
+    0,
+    0,
+    { user: session.getString("user_id"), id: session.id }
+  );
+
+  const cutoff = idleCutoff();
+  for (const other of open) {
+    if (lastActivity(other).unix() >= cutoff.unix()) {
+      throw new BadRequestError("Another workout session is already in progress.", {
+        is_completed: new ValidationError("session_in_progress",
+          `Session ${other.id} is still in progress. Complete or delete it first.`),
+      });
+    }
+    closeSession(app, other, abandonedAction(app, other.getString("user_id")));
+  }
+}
+
+/**
+ * Model hook for workout_sessions create/update: stamps last_activity_at,
+ * bumps `revision` when the sets changed (clients can't set it themselves)
+ * and enforces a single open session per user within the save's transaction.
+ */
+function handleSessionSave(e) {
+  const setsChanged = e.record.isNew() ||
+    e.record.getString("exercise_data") !== e.record.original().getString("exercise_data");
+  if (setsChanged || e.record.getDateTime("last_activity_at").isZero()) {
+    e.record.set("last_activity_at", new DateTime());
+  }
+
+  const revision = e.record.isNew() ? 0 : e.record.original().getInt("revision");
+  e.record.set("revision", setsChanged && !e.record.isNew() ? revision + 1 : revision);
+
+  e.app.runInTransaction((txApp) => {
+    e.app = txApp;
+    ensureSingleInProgress(txApp, e.record);
+    e.next();
+  });
+}
+
+/**
+ * Cron entry point: closes every session idle past the cutoff.
+ */
+function closeAbandoned(app) {
+  const rows = arrayOf(new DynamicModel({ id: "", user_id: "" }));
+  app.db().newQuery(`
+    SELECT id, user_id FROM workout_sessions
+    WHERE is_completed = FALSE
+      AND COALESCE(NULLIF(last_activity_at, ''), updated) < {:cutoff}
+  `).bind({ cutoff: idleCutoff() }).all(rows);
+
+  const counts = { finalized: 0, discarded: 0 };
+  for (const row of rows) {
+    try {
+      app.runInTransaction((txApp) => {
+        const session = txApp.findRecordById("workout_sessions", row.id);
+        counts[closeSession(txApp, session, abandonedAction(txApp, row.user_id))]++;
+      });
+    } catch (err) {
+      app.logger().error("Failed to close abandoned session", "session", row.id, "error", String(err));
+    }
+  }
+
+  if (rows.length > 0) {
+    app.logger().info("Closed abandoned sessions", "finalized", counts.finalized, "discarded", counts.discarded);
+  }
+}
+
+module.exports = {
+  ACTIONS,
+  handleSessionSave,
+  closeAbandoned,
+};
@@ -0,0 +1,40 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Record hook body for workout_sessions create/update.
+ *
+ * When a session becomes completed, the session save, its workout_history
+ * row and any new personal records are written in one transaction so either
+ * all of them persist or none do.
+ */
+
+const workoutHistory = require(`${__hooks}/lib/workout_history.js`);
+const personalRecords = require(`${__hooks}/lib/personal_records.js`);
+
+function handleSessionSave(e, wasCompleted) {
+  const completing = !wasCompleted && e.record.getBool("is_completed");
+  if (completing && e.record.getDateTime("completed_at").isZero()) {
+    e.record.set("completed_at", new DateTime());
+  }
+
+  e.app.runInTransaction((txApp) => {
+    e.app = txApp;
+
+    let detection = null;
+    if (completing) {
+      detection = personalRecords.detect(txApp, e.record);
+      e.record.set("personal_records", detection.tags);
+    }
+
+    e.next();
+
+    if (completing) {
+      workoutHistory.syncFromSession(txApp, e.record);
+      personalRecords.apply(txApp, e.record, detection);
+    }
+  });
+}
+
+module.exports = {
+  handleSessionSave,
+};
@@ -0,0 +1,301 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Set-level patches for in-progress workout_sessions.
+ *
+ * Instead of rewriting the whole `exercise_data` JSON, a device sends the
+ * session revision it last saw and a list of operations:
+ *
+ *   {
+ *     "revision": 7,
+ *     "client_id": "phone-1",
+ *     "operations": [
+ *       { "op": "update", "exercise_index": 1, "set_index": 2,
+ *         "values": { "completed": true, "weight": 80, "reps": 5 } },
+ *       { "op": "add", "exercise_index": 1, "values": { "weight": 80, "reps": 5 } },
+ *       { "op": "remove", "exercise_index": 0, "set_index": 3 }
+ *     ]
+ *   }
+ *
+ * Indexes are zero-based and apply to the list as left by the previous
+ * operation. The patch is applied in one transaction, only when `revision`
+ * still matches (409 otherwise, the device refetches and retries). Values are
+ * written to the keys the set already uses, so snake_case and camelCase sets
+ * both stay readable by normalizeExercises. Weights are in the requester's
+ * preferred_units (or kg with `?units=canonical`), like record requests.
+ *
+ * Every applied patch is sent to realtime subscribers of
+ * `periolifts/sessions/<id>` that are signed in as the session owner, with
+ * weights in kg; the regular record subscription also receives the updated
+ * session in each device's units.
+ */
+
+const exerciseData = require(`${__hooks}/lib/exercise_data.js`);
+const units = require(`${__hooks}/lib/units.js`);
+
+const MAX_OPERATIONS = 50;
+const OPS = ["update", "add", "remove"];
+
+// Keys in normalizeSet's priority order, excluding the template targets
+const VALUE_KEYS = {
+  reps: ["reps", "actual_reps", "actualReps"],
+  weight: ["weight", "actual_weight", "actualWeight"],
+  rest_time: ["rest_time", "restTime"],
+  rpe: ["rpe"],
+};
+const CAMEL_KEYS = {
+  reps: "actualReps",
+  weight: "actualWeight",
+  rest_time: "restTime",
+  rpe: "rpe",
+};
+
+function topic(sessionId) {
+  return `periolifts/sessions/${sessionId}`;
+}
+
+function invalid(message, code) {
+  return new BadRequestError("Invalid set patch.", {
+    operations: new ValidationError(code || "invalid_operation", message),
+  });
+}
+
+function isCamelCase(set) {
+  return ["setId", "setNumber", "targetReps", "targetWeight", "actualReps", "actualWeight"]
+    .some((key) => set[key] !== undefined);
+}
+
+function valueKey(set, name) {
+  const existing = VALUE_KEYS[name].find((key) => set[key] !== undefined && set[key] !== null);
+  if (existing) {
+    return existing;
+  }
+  return isCamelCase(set) ? CAMEL_KEYS[name] : name;
+}
+
+function checkValues(values, path) {
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw invalid(`${path}.values must be an object.`);
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    if (key === "completed") {
+      if (typeof value !== "boolean") {
+        throw invalid(`${path}.values.completed must be a boolean.`);
+      }
+    } else if (VALUE_KEYS[key]) {
+      if (typeof value !== "number" || !isFinite(value) || value < 0) {
+        throw invalid(`${path}.values.${key} must be a non-negative number.`);
+      }
+    } else {
+      throw invalid(`${path}.values.${key} is not supported. Allowed: completed, ${Object.keys(VALUE_KEYS).join(", ")}.`);
+    }
+  }
+}
+
+function writeValues(set, values) {
+  for (const [key, value] of Object.entries(values)) {
+    set[key === "completed" ? key : valueKey(set, key)] = value;
+  }
+}
+
+function renumber(sets) {
+  sets.forEach((set, i) => {
+    if (set.setNumber !== undefined) {
+      set.setNumber = i + 1;
+    }
+    if (set.set_number !== undefined) {
+      set.set_number = i + 1;
+    }
+  });
+}
+
+/**
+ * Copy of the operations with their weights in kg.
+ */
+function canonicalOperations(operations, system) {
+  if (system !== units.SYSTEMS.imperial) {
+    return operations;
+  }
+  return operations.map((operation) => {
+    if (!operation || typeof operation !== "object" || !operation.values ||
+        typeof operation.values.weight !== "number") {
+      return operation;
+    }
+    const values = Object.assign({}, operation.values, {
+      weight: units.toKg(operation.values.weight, units.UNITS.lbs),
+    });
+    return Object.assign({}, operation, { values: values });
+  });
+}
+
+function checkIndex(value, length, path, name) {
+  if (!Number.isInteger(value) || value < 0 || value >= length) {
+    throw invalid(`${path}.${name} must be an index below ${length}.`, "invalid_index");
+  }
+}
+
+/**
+ * New set for an "add" operation: shaped like the exercise's last set, not
+ * completed until the values say so.
+ */
+function newSet(sets) {
+  const template = sets.length > 0 ? JSON.parse(JSON.stringify(sets[sets.length - 1])) : {};
+  template.completed = false;
+  if (template.setId !== undefined) {
+    template.setId = $security.randomString(15);
+  }
+  return template;
+}
+
+/**
+ * Applies the operations to a copy of the raw exercise list and returns it.
+ * Throws a BadRequestError for the first invalid operation.
+ */
+function applyOperations(raw, operations) {
+  const exercises = JSON.parse(JSON.stringify(Array.isArray(raw) ? raw : []));
+
+  operations.forEach((operation, i) => {
+    const path = `operations[${i}]`;
+    if (!operation || typeof operation !== "object" || Array.isArray(operation)) {
+      throw invalid(`${path} must be an object.`);
+    }
+
+    const op = operation.op || "update";
+    if (!OPS.includes(op)) {
+      throw invalid(`${path}.op must be one of: ${OPS.join(", ")}.`);
+    }
+
+    checkIndex(operation.exercise_index, exercises.length, path, "exercise_index");
+    const exercise = exercises[operation.exercise_index];
+    if (!exercise || typeof exercise !== "object" || !Array.isArray(exercise.sets)) {
+      throw invalid(`${path}: the exercise has no sets array.`);
+    }
+
+    if (op === "add") {
+      const values = operation.values || {};
+      checkValues(values, path);
+      const set = newSet(exercise.sets);
+      writeValues(set, values);
+      exercise.sets.push(set);
+      renumber(exercise.sets);
+      return;
+    }
+
+    checkIndex(operation.set_index, exercise.sets.length, path, "set_index");
+    if (op === "remove") {
+      exercise.sets.splice(operation.set_index, 1);
+      renumber(exercise.sets);
+      return;
+    }
+
+    checkValues(operation.values, path);
+    const set = exercise.sets[operation.set_index];
+    if (!set || typeof set !== "object" || Array.isArray(set)) {
+      throw invalid(`${path}: the set is not an object.`);
+    }
+    writeValues(set, operation.values);
+  });
+
+  return exercises;
+}
+
+function findOwnSession(app, id, userId) {
+  try {
+    const session = app.findRecordById("workout_sessions", id);
+    if (session.getString("user_id") === userId) {
+      return session;
+    }
+  } catch (err) {
+    // Reported as not found below
+  }
+  throw new NotFoundError("Workout session not found.");
+}
+
+/**
+ * Sends the applied patch to the owner's clients subscribed to the session
+ * topic.
+ */
+function broadcast(app, session, patch) {
+  const name = topic(session.id);
+  const message = new SubscriptionMessage({
+    name: name,
+    data: JSON.stringify(patch),
+  });
+
+  const clients = app.subscriptionsBroker().clients();
+  for (const clientId in clients) {
+    const client = clients[clientId];
+    const auth = client.get("auth");
+    if (client.hasSubscription(name) && auth && auth.id === session.getString("user_id")) {
+      client.send(message);
+    }
+  }
+}
+
+/**
+ * Route handler for PATCH /api/periolifts/sessions/{id}/sets.
+ */
+function handlePatch(e) {
+  const info = e.requestInfo();
+  const body = info.body || {};
+  const system = units.responseSystem(e.app, info);
+
+  if (!Number.isInteger(body.revision) || body.revision < 0) {
+    throw new BadRequestError("Invalid set patch.", {
+      revision: new ValidationError("invalid_revision", "The session revision the patch is based on is required."),
+    });
+  }
+  if (!Array.isArray(body.operations) || body.operations.length === 0 || body.operations.length > MAX_OPERATIONS) {
+    throw invalid(`Must be a list of 1 to ${MAX_OPERATIONS} operations.`);
+  }
+  const operations = canonicalOperations(body.operations, system);
+
+  let session;
+  e.app.runInTransaction((txApp) => {
+    session = findOwnSession(txApp, e.request.pathValue("id"), e.auth.id);
+
+    if (session.getBool("is_completed")) {
+      throw new BadRequestError("The workout session is already completed.");
+    }
+
+    const current = session.getInt("revision");
+    if (current !== body.revision) {
+      throw new ApiError(409, "The session was changed on another device.", {
+        revision: new ValidationError("revision_conflict", `The current revision is ${current}.`),
+      });
+    }
+
+    const raw = exerciseData.readJSONField(session, "exercise_data", []);
+    session.set("exercise_data", applyOperations(raw, operations));
+    txApp.save(session);
+  });
+
+  const patch = {
+    session_id: session.id,
+    revision: session.getInt("revision"),
+    base_revision: body.revision,
+    client_id: typeof body.client_id === "string" ? body.client_id : "",
+    operations: operations,
+  };
+
+  try {
+    broadcast(e.app, session, patch);
+  } catch (err) {
+    e.app.logger().error("Failed to broadcast set patch", "session", session.id, "error", String(err));
+  }
+
+  return e.json(200, {
+    id: session.id,
+    revision: patch.revision,
+    last_activity_at: session.getString("last_activity_at"),
+    units: system || units.SYSTEMS.metric,
+    exercise_data: units.displayExercises(exerciseData.readJSONField(session, "exercise_data", []), system),
+  });
+}
+
+module.exports = {
+  topic,
+  applyOperations,
+  handlePatch,
+};
@@ -0,0 +1,33 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Strength formulas shared by personal records and progress analytics.
+ */
+
+const ONE_REP_MAX_FORMULAS = {
+  // weight x (1 + reps / 30)
+  epley: (weight, reps) => weight * (1 + reps / 30),
+  // weight x 36 / (37 - reps), only meaningful below ~12 reps
+  brzycki: (weight, reps) => (reps >= 37 ? 0 : (weight * 36) / (37 - reps)),
+};
+
+/**
+ * Estimated one-rep max for a set. A single rep is returned as-is; sets
+ * without weight or reps estimate 0.
+ */
+function estimateOneRepMax(weight, reps, formula) {
+  if (!(weight > 0) || !(reps > 0)) {
+    return 0;
+  }
+  if (reps === 1) {
+    return weight;
+  }
+
+  const estimate = ONE_REP_MAX_FORMULAS[formula || "epley"];
+  return Math.round(estimate(weight, reps) * 100) / 100;
+}
+
+module.exports = {
+  ONE_REP_MAX_FORMULAS,
+  estimateOneRepMax,
+};
@@ -0,0 +1,329 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Strength trend of one exercise for the progress screen.
+ *
+ * Points come from completed workout_sessions (set-level data) and from
+ * workout_history rows without such a session (client-written or legacy
+ * history, which only has per-exercise totals: no reps for the top set, and
+ * an Epley e1RM only). Each point has the top set, the estimated 1RM with the
+ * selected formula, the volume and the rep PRs set that day.
+ *
+ * A rep PR is a set with more reps than any earlier set at the same or a
+ * heavier weight; the very first session only sets the baseline, like
+ * personal_records. PRs and rep maxes consider everything up to `to`, so they
+ * are correct for ranges that start later: sessions before `from` are only
+ * read as the heaviest weight per rep count (baselineBests), which is all
+ * the running bests need.
+ *
+ * Weights are converted to the user's preferred_units unless
+ * `?units=canonical` is passed.
+ */
+
+const exerciseData = require(`${__hooks}/lib/exercise_data.js`);
+const exerciseOwnership = require(`${__hooks}/lib/exercise_ownership.js`);
+const params = require(`${__hooks}/lib/request_params.js`);
+const strength = require(`${__hooks}/lib/strength.js`);
+const units = require(`${__hooks}/lib/units.js`);
+
+const MAX_RANGE_DAYS = 366 * 5;
+const REP_MAX_RANGE = 12;
+
+// First of the set keys normalizeSet reads, for the set `s` of a json_each
+function setValue(keys) {
+  return `COALESCE(${keys.map((key) => `json_extract(s.value, '$.${key}')`).join(", ")})`;
+}
+
+const SET_REPS = setValue(["reps", "actual_reps", "actualReps", "target_reps", "targetReps"]);
+const SET_WEIGHT = setValue(["weight", "actual_weight", "actualWeight", "target_weight", "targetWeight"]);
+
+function sessionPoints(app, bindings, formula) {
+  const rows = arrayOf(new DynamicModel({
+    id: "",
+    completed_at: "",
+    date: "",
+    exercise_data: "",
+  }));
+
+  app.db().newQuery(`
+    SELECT ws.id, ws.completed_at, date(ws.completed_at) AS date, ws.exercise_data
+    FROM workout_sessions ws
+    WHERE ws.user_id = {:user}
+      AND ws.is_completed = TRUE
+      AND ws.completed_at >= {:lower}
+      AND ws.completed_at < {:upper}
+      AND EXISTS (
+        SELECT 1 FROM json_each(ws.exercise_data) x
+        WHERE COALESCE(json_extract(x.value, '$.exercise_id'), json_extract(x.value, '$.exerciseId')) = {:exercise}
+      )
+  `).bind(bindings).all(rows);
+
+  return rows.map((row) => {
+    const sets = exerciseData.normalizeExercises(row.exercise_data)
+      .filter((exercise) => exercise.exercise_id === bindings.exercise)
+      .reduce((all, exercise) => all.concat(exercise.sets), [])
+      .filter((set) => set.completed && set.reps > 0);
+
+    let top = null;
+    for (const set of sets) {
+      if (!top || set.weight > top.weight || (set.weight === top.weight && set.reps > top.reps)) {
+        top = set;
+      }
+    }
+
+    return {
+      completed_at: row.completed_at,
+      date: row.date,
+      source: "session",
+      source_id: row.id,
+      sets: sets,
+      set_count: sets.length,
+      reps: sets.reduce((sum, set) => sum + set.reps, 0),
+      volume: sets.reduce((sum, set) => sum + set.weight * set.reps, 0),
+      top_set: top && top.weight > 0 ? { weight: top.weight, reps: top.reps } : null,
+      e1rm: sets.reduce((max, set) => Math.max(max, strength.estimateOneRepMax(set.weight, set.reps, formula)), 0),
+    };
+  }).filter((point) => point.set_count > 0);
+}
+
+function historyPoints(app, bindings, formula) {
+  const rows = arrayOf(new DynamicModel({
+    id: "",
+    completed_at: "",
+    date: "",
+    sets: -0,
+    reps: -0,
+    volume: -0,
+    top_weight: -0,
+    best_e1rm: -0,
+  }));
+
+  app.db().newQuery(`
+    SELECT
+      h.id,
+      h.completed_at,
+      date(h.completed_at) AS date,
+      COALESCE(SUM(json_extract(x.value, '$.sets_completed')), 0) AS sets,
+      COALESCE(SUM(json_extract(x.value, '$.total_reps')), 0) AS reps,
+      COALESCE(SUM(json_extract(x.value, '$.volume')), 0) AS volume,
+      COALESCE(MAX(json_extract(x.value, '$.top_weight')), 0) AS top_weight,
+      COALESCE(MAX(json_extract(x.value, '$.best_e1rm')), 0) AS best_e1rm
+    FROM workout_history h, json_each(h.performance_data, '$.exercises') x
+    WHERE h.user_id = {:user}
+      AND h.completed_at >= {:lower}
+      AND h.completed_at < {:upper}
+      AND json_valid(h.performance_data)
+      AND json_extract(x.value, '$.exercise_id') = {:exercise}
+      AND NOT EXISTS (
+        SELECT 1 FROM workout_sessions ws
+        WHERE ws.id = h.workout_session_id AND ws.is_completed = TRUE
+      )
+    GROUP BY h.id
+    HAVING sets > 0
+  `).bind(bindings).all(rows);
+
+  return rows.map((row) => ({
+    completed_at: row.completed_at,
+    date: row.date,
+    source: "history",
+    source_id: row.id,
+    sets: [],
+    set_count: row.sets,
+    reps: row.reps,
+    volume: row.volume,
+    top_set: row.top_weight > 0 ? { weight: row.top_weight, reps: null } : null,
+    e1rm: formula === "epley" && row.best_e1rm > 0 ? row.best_e1rm : null,
+  }));
+}
+
+/**
+ * Heaviest completed set per rep count in the sessions before `lower`, as
+ * `{ seen, bests }` (see recordSet). `seen` is whether there were any sets.
+ */
+function baselineBests(app, bindings) {
+  const rows = arrayOf(new DynamicModel({
+    reps: -0,
+    weight: -0,
+    date: "",
+  }));
+
+  app.db().newQuery(`
+    SELECT reps, MAX(weight) AS weight, date
+    FROM (
+      SELECT
+        CAST(${SET_REPS} AS REAL) AS reps,
+        CAST(COALESCE(${SET_WEIGHT}, 0) AS REAL) AS weight,
+        date(ws.completed_at) AS date
+      FROM workout_sessions ws, json_each(ws.exercise_data) x, json_each(x.value, '$.sets') s
+      WHERE ws.user_id = {:user}
+        AND ws.is_completed = TRUE
+        AND ws.completed_at < {:lower}
+        AND json_valid(ws.exercise_data)
+        AND x.type = 'object'
+        AND s.type = 'object'
+        AND COALESCE(json_extract(x.value, '$.exercise_id'), json_extract(x.value, '$.exerciseId')) = {:exercise}
+        AND COALESCE(json_extract(s.value, '$.completed'), 1) != 0
+    )
+    WHERE reps > 0
+    GROUP BY reps
+  `).bind(bindings).all(rows);
+
+  const bests = {};
+  for (const row of rows) {
+    recordSet(bests, row, row.date);
+  }
+  return { seen: rows.length > 0, bests: bests };
+}
+
+/**
+ * Keeps `bests` (rep count -> heaviest `{ weight, date }`) up to date with
+ * a set.
+ */
+function recordSet(bests, set, date) {
+  const best = bests[set.reps];
+  if (set.weight > 0 && (!best || set.weight > best.weight)) {
+    bests[set.reps] = { weight: set.weight, date: date };
+  }
+}
+
+/**
+ * Heaviest `{ weight, date }` in `bests` lifted for at least `reps` reps, or
+ * null.
+ */
+function heaviestFor(bests, reps) {
+  let heaviest = null;
+  for (const [count, best] of Object.entries(bests)) {
+    if (Number(count) >= reps && (!heaviest || best.weight > heaviest.weight ||
+        (best.weight === heaviest.weight && best.date < heaviest.date))) {
+      heaviest = best;
+    }
+  }
+  return heaviest;
+}
+
+/**
+ * Sets of `sets` that beat every earlier set at the same or a heavier
+ * weight, without the ones another PR of the same day dominates.
+ */
+function findRepPRs(sets, bests) {
+  const candidates = sets.filter((set) => {
+    const heaviest = heaviestFor(bests, set.reps);
+    return set.weight > 0 && !(heaviest && heaviest.weight >= set.weight);
+  });
+
+  // Heaviest first: a set is dominated unless it has more reps than every
+  // set before it
+  candidates.sort((a, b) => b.weight - a.weight || b.reps - a.reps);
+
+  const prs = [];
+  let maxReps = 0;
+  for (const set of candidates) {
+    if (set.reps > maxReps) {
+      prs.push({ weight: set.weight, reps: set.reps });
+      maxReps = set.reps;
+    }
+  }
+  return prs;
+}
+
+/**
+ * Heaviest weight lifted for at least 1..REP_MAX_RANGE reps.
+ */
+function repMaxes(bests, unit) {
+  const maxes = [];
+  for (let reps = 1; reps <= REP_MAX_RANGE; reps++) {
+    const best = heaviestFor(bests, reps);
+    if (best) {
+      maxes.push({ reps: reps, weight: units.fromKg(best.weight, unit), date: best.date });
+    }
+  }
+  return maxes;
+}
+
+function findUsableExercise(e) {
+  try {
+    const exercise = e.app.findRecordById("exercises", e.request.pathValue("id"));
+    if (exerciseOwnership.isUsableBy(exercise, e.auth.id)) {
+      return exercise;
+    }
+  } catch (err) {
+    // Reported as not found below
+  }
+  throw new NotFoundError("Exercise not found.");
+}
+
+/**
+ * Route handler for GET /api/periolifts/exercises/{id}/strength?from=&to=&formula=.
+ */
+function handleStrength(e) {
+  const exercise = findUsableExercise(e);
+  const range = params.readDateRange(e, 365, MAX_RANGE_DAYS);
+  const formula = params.readEnumParam(e, "formula", Object.keys(strength.ONE_REP_MAX_FORMULAS), "epley");
+  const unit = units.unitOf(units.responseSystem(e.app, e.requestInfo()));
+
+  const bindings = {
+    user: e.auth.id,
+    exercise: exercise.id,
+    lower: range.lower,
+    upper: range.upper,
+  };
+
+  const all = sessionPoints(e.app, bindings, formula)
+    .concat(historyPoints(e.app, bindings, formula))
+    .sort((a, b) => (a.completed_at < b.completed_at ? -1 : a.completed_at > b.completed_at ? 1 : 0));
+
+  const baseline = baselineBests(e.app, bindings);
+  const bests = baseline.bests;
+  let seen = baseline.seen;
+  const series = [];
+  let bestE1rm = null;
+  let totalVolume = 0;
+
+  all.forEach((point) => {
+    const repPRs = seen ? findRepPRs(point.sets, bests) : [];
+    for (const set of point.sets) {
+      recordSet(bests, set, point.date);
+    }
+    seen = seen || point.sets.length > 0;
+
+    totalVolume += point.volume;
+    if (point.e1rm && (!bestE1rm || point.e1rm > bestE1rm.value)) {
+      bestE1rm = { value: point.e1rm, date: point.date };
+    }
+
+    series.push({
+      date: point.date,
+      completed_at: point.completed_at,
+      source: point.source,
+      source_id: point.source_id,
+      top_set: point.top_set ? { weight: units.fromKg(point.top_set.weight, unit), reps: point.top_set.reps } : null,
+      e1rm: point.e1rm ? units.fromKg(point.e1rm, unit) : null,
+      volume: units.fromKg(point.volume, unit),
+      sets: point.set_count,
+      reps: point.reps,
+      rep_prs: repPRs.map((set) => ({ weight: units.fromKg(set.weight, unit), reps: set.reps })),
+    });
+  });
+
+  return e.json(200, {
+    exercise_id: exercise.id,
+    exercise_name: exercise.getString("name"),
+    from: range.from,
+    to: range.to,
+    formula: formula,
+    unit: unit,
+    summary: {
+      sessions: series.length,
+      total_volume: units.fromKg(totalVolume, unit),
+      best_e1rm: bestE1rm ? units.fromKg(bestE1rm.value, unit) : null,
+      best_e1rm_date: bestE1rm ? bestE1rm.date : null,
+      rep_prs: series.reduce((sum, point) => sum + point.rep_prs.length, 0),
+    },
+    rep_maxes: repMaxes(bests, unit),
+    series: series,
+  });
+}
+
+module.exports = {
+  handleStrength,
+};
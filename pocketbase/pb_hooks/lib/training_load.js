@@ -0,0 +1,322 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Cycle-phase-aware training load adjustments.
+ *
+ * A workout template's `exercises` JSON is copied and scaled by the
+ * multipliers of the user's cycle phase on the given date:
+ *
+ * - volume: scales the number of sets (at least one set is kept; extra sets
+ *   repeat the last one)
+ * - intensity: scales the weight of loaded sets (rounded to WEIGHT_STEP) and
+ *   the reps of bodyweight sets
+ * - deload: flags the day as a deload day
+ *
+ * The late luteal phase (the last LATE_LUTEAL_DAYS days before the expected
+ * period) has its own entry. Without logged periods the phase stored in
+ * `user_preferences.current_cycle_phase` is used as is (no cycle day, no
+ * prediction). Users can override any phase through
+ * `user_preferences.cycle_adjustments`; missing values use DEFAULT_ADJUSTMENTS.
+ * The template itself is never modified. Weights are returned in the
+ * requester's preferred_units.
+ */
+
+const cycleTracking = require(`${__hooks}/lib/cycle_tracking.js`);
+const exerciseData = require(`${__hooks}/lib/exercise_data.js`);
+const params = require(`${__hooks}/lib/request_params.js`);
+const dates = require(`${__hooks}/lib/dates.js`);
+const units = require(`${__hooks}/lib/units.js`);
+
+const LATE_LUTEAL_DAYS = 5;
+const WEIGHT_STEP = 0.5;
+const MIN_MULTIPLIER = 0.1;
+const MAX_MULTIPLIER = 2;
+const NEXT_PHASE_SEARCH_DAYS = 60;
+
+const WEIGHT_KEYS = ["weight", "target_weight", "targetWeight"];
+const REPS_KEYS = ["reps", "target_reps", "targetReps"];
+
+const DEFAULT_ADJUSTMENTS = {
+  menstrual: { volume: 0.85, intensity: 0.9, deload: false },
+  follicular: { volume: 1, intensity: 1, deload: false },
+  ovulation: { volume: 1, intensity: 1, deload: false },
+  luteal: { volume: 1, intensity: 1, deload: false },
+  late_luteal: { volume: 0.7, intensity: 0.85, deload: true },
+};
+
+const PHASE_LABELS = {
+  menstrual: "menstrual phase",
+  follicular: "follicular phase",
+  ovulation: "ovulation",
+  luteal: "luteal phase",
+  late_luteal: "late luteal phase",
+};
+
+/**
+ * The DEFAULT_ADJUSTMENTS key for a cycle state, or null without cycle data.
+ */
+function adjustmentPhase(state) {
+  if (!state.phase) {
+    return null;
+  }
+  if (state.phase === cycleTracking.PHASES.luteal &&
+      state.cycleDay > Math.round(state.cycleLength) - LATE_LUTEAL_DAYS) {
+    return "late_luteal";
+  }
+  return state.phase;
+}
+
+/**
+ * The stored `current_cycle_phase` if it names a DEFAULT_ADJUSTMENTS phase,
+ * else null.
+ */
+function storedPhase(preferences) {
+  const phase = preferences ? preferences.getString("current_cycle_phase").trim().toLowerCase() : "";
+  return DEFAULT_ADJUSTMENTS[phase] ? phase : null;
+}
+
+function resolveAdjustment(overrides, phase) {
+  const custom = overrides && typeof overrides[phase] === "object" ? overrides[phase] : {};
+  const defaults = DEFAULT_ADJUSTMENTS[phase];
+
+  return {
+    volume: typeof custom.volume === "number" ? custom.volume : defaults.volume,
+    intensity: typeof custom.intensity === "number" ? custom.intensity : defaults.intensity,
+    deload: typeof custom.deload === "boolean" ? custom.deload : defaults.deload,
+    source: Object.keys(custom).length > 0 ? "custom" : "default",
+  };
+}
+
+function roundWeight(value) {
+  return Math.round(value / WEIGHT_STEP) * WEIGHT_STEP;
+}
+
+function presentKeys(set, keys) {
+  return keys.filter((key) => typeof set[key] === "number" && set[key] > 0);
+}
+
+/**
+ * Returns `{ exercises, changes }`: a scaled copy of the raw exercise list
+ * and, per exercise, the changes made to it.
+ */
+function applyAdjustment(raw, adjustment, label) {
+  const exercises = JSON.parse(JSON.stringify(Array.isArray(raw) ? raw : []));
+  const changes = [];
+
+  for (const entry of exercises) {
+    if (!entry || typeof entry !== "object" || !Array.isArray(entry.sets) || entry.sets.length === 0) {
+      continue;
+    }
+
+    const explanations = [];
+    const setCount = entry.sets.length;
+
+    const targetCount = Math.max(1, Math.round(setCount * adjustment.volume));
+    if (targetCount < setCount) {
+      entry.sets = entry.sets.slice(0, targetCount);
+    }
+    while (entry.sets.length < targetCount) {
+      entry.sets.push(JSON.parse(JSON.stringify(entry.sets[entry.sets.length - 1])));
+    }
+    if (targetCount !== setCount) {
+      explanations.push(`${setCount} → ${targetCount} set${targetCount === 1 ? "" : "s"} (volume ×${adjustment.volume}, ${label})`);
+    }
+
+    if (adjustment.intensity !== 1) {
+      let weightChanged = false;
+      let repsChanged = false;
+
+      for (const set of entry.sets) {
+        if (!set || typeof set !== "object") {
+          continue;
+        }
+
+        const weightKeys = presentKeys(set, WEIGHT_KEYS);
+        if (weightKeys.length > 0) {
+          for (const key of weightKeys) {
+            const scaled = roundWeight(set[key] * adjustment.intensity);
+            weightChanged = weightChanged || scaled !== set[key];
+            set[key] = scaled;
+          }
+          continue;
+        }
+
+        for (const key of presentKeys(set, REPS_KEYS)) {
+          const scaled = Math.max(1, Math.round(set[key] * adjustment.intensity));
+          repsChanged = repsChanged || scaled !== set[key];
+          set[key] = scaled;
+        }
+      }
+
+      if (weightChanged) {
+        explanations.push(`Weights ×${adjustment.intensity} (intensity, ${label})`);
+      }
+      if (repsChanged) {
+        explanations.push(`Bodyweight reps ×${adjustment.intensity} (intensity, ${label})`);
+      }
+    }
+
+    if (explanations.length > 0) {
+      changes.push({
+        exercise_id: String(entry.exercise_id || entry.exerciseId || ""),
+        exercise_name: String(entry.exercise_name || entry.exerciseName || ""),
+        sets_before: setCount,
+        sets_after: entry.sets.length,
+        explanations: explanations,
+      });
+    }
+  }
+
+  return { exercises: exercises, changes: changes };
+}
+
+/**
+ * First date after `fromDate` whose adjustment phase differs from `phase`.
+ */
+function nextPhase(periods, fromDate, phase, fallbackLength) {
+  for (let i = 1; i <= NEXT_PHASE_SEARCH_DAYS; i++) {
+    const date = dates.addDays(fromDate, i);
+    const next = adjustmentPhase(cycleTracking.stateFromPeriods(periods, date, fallbackLength, true));
+    if (next && next !== phase) {
+      return { phase: next, starts_on: date };
+    }
+  }
+  return null;
+}
+
+function findAccessibleWorkout(e) {
+  try {
+    const workout = e.app.findRecordById("workouts", e.request.pathValue("id"));
+    if (e.app.canAccessRecord(workout, e.requestInfo(), workout.collection().viewRule)) {
+      return workout;
+    }
+  } catch (err) {
+    // Reported as not found below
+  }
+  throw new NotFoundError("Workout not found.");
+}
+
+/**
+ * Route handler for GET /api/periolifts/workouts/{id}/adjusted?date=.
+ * `date` (YYYY-MM-DD) defaults to today in the user's timezone; future
+ * dates use the predicted cycle.
+ */
+function handleAdjusted(e) {
+  const workout = findAccessibleWorkout(e);
+
+  const preferences = cycleTracking.findPreferences(e.app, e.auth.id);
+  const timezone = preferences ? preferences.getString("timezone") : "";
+  const fallbackLength = preferences ? preferences.getFloat("average_cycle_length") : 0;
+  const overrides = preferences ? exerciseData.readJSONField(preferences, "cycle_adjustments", {}) : {};
+
+  const today = dates.localToday(timezone);
+  const date = params.readDateParam(e, "date", today);
+
+  const periods = cycleTracking.loadPeriods(e.app, e.auth.id, date);
+  const state = cycleTracking.stateFromPeriods(periods, date, fallbackLength, date > today);
+  const fromPreferences = periods.length === 0 && storedPhase(preferences) !== null;
+  if (fromPreferences) {
+    state.phase = storedPhase(preferences);
+  }
+  const phase = fromPreferences ? state.phase : adjustmentPhase(state);
+  const template = exerciseData.readJSONField(workout, "exercises", []);
+  const system = units.responseSystem(e.app, e.requestInfo());
+
+  const response = {
+    workout_id: workout.id,
+    name: workout.getString("name"),
+    date: date,
+    cycle: {
+      phase: state.phase,
+      adjustment_phase: phase,
+      cycle_day: state.cycleDay,
+      cycle_length: state.cycleLength,
+      predicted: !fromPreferences && date > today,
+      source: fromPreferences ? "preferences" : "cycle_logs",
+      next: phase && !fromPreferences ? nextPhase(periods, date, phase, fallbackLength) : null,
+    },
+    adjustment: null,
+    deload: false,
+    units: system || units.SYSTEMS.metric,
+    exercises: units.displayExercises(template, system),
+    changes: [],
+    notes: [],
+  };
+
+  if (!phase) {
+    response.notes.push("No cycle logged yet, so the workout is unchanged.");
+    return e.json(200, response);
+  }
+
+  const adjustment = resolveAdjustment(overrides, phase);
+  const result = applyAdjustment(template, adjustment, PHASE_LABELS[phase]);
+
+  response.adjustment = adjustment;
+  response.deload = adjustment.deload;
+  response.exercises = units.displayExercises(result.exercises, system);
+  response.changes = result.changes;
+
+  if (fromPreferences) {
+    response.notes.push(`Using the ${PHASE_LABELS[phase]} from your settings; log your periods for day-by-day adjustments.`);
+  }
+
+  if (adjustment.deload) {
+    response.notes.push(`Deload day: ${PHASE_LABELS[phase]}.`);
+  }
+  if (result.changes.length === 0) {
+    response.notes.push(`No changes for the ${PHASE_LABELS[phase]}.`);
+  }
+
+  return e.json(200, response);
+}
+
+/**
+ * Request hook for user_preferences create/update: checks the shape of
+ * `cycle_adjustments`.
+ */
+function validatePreferences(e) {
+  const overrides = exerciseData.readJSONField(e.record, "cycle_adjustments", {});
+  let error = null;
+
+  if (typeof overrides !== "object" || Array.isArray(overrides)) {
+    error = new ValidationError("invalid_adjustments", "Must be an object keyed by phase.");
+  } else {
+    for (const [phase, value] of Object.entries(overrides)) {
+      if (!DEFAULT_ADJUSTMENTS[phase]) {
+        error = new ValidationError("invalid_phase",
+          `Unknown phase "${phase}". Allowed: ${Object.keys(DEFAULT_ADJUSTMENTS).join(", ")}.`);
+        break;
+      }
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        error = new ValidationError("invalid_adjustment", `${phase} must be an object.`);
+        break;
+      }
+
+      const invalid = ["volume", "intensity"].find((key) => value[key] !== undefined &&
+        (typeof value[key] !== "number" || value[key] < MIN_MULTIPLIER || value[key] > MAX_MULTIPLIER));
+      if (invalid) {
+        error = new ValidationError("invalid_multiplier",
+          `${phase}.${invalid} must be a number between ${MIN_MULTIPLIER} and ${MAX_MULTIPLIER}.`);
+        break;
+      }
+      if (value.deload !== undefined && typeof value.deload !== "boolean") {
+        error = new ValidationError("invalid_deload", `${phase}.deload must be a boolean.`);
+        break;
+      }
+    }
+  }
+
+  if (error) {
+    throw new BadRequestError("Invalid cycle adjustments.", { cycle_adjustments: error });
+  }
+
+  e.next();
+}
+
+module.exports = {
+  DEFAULT_ADJUSTMENTS,
+  adjustmentPhase,
+  applyAdjustment,
+  handleAdjusted,
+  validatePreferences,
+};
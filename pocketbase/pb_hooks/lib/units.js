@@ -0,0 +1,329 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Canonical units and conversion to the user's preferred_units.
+ *
+ * Weights are stored in kg and body height in cm. Records that hold weights
+ * are stamped with `input_units` (metric or imperial, like preferred_units):
+ * the system the values were entered in. API traffic uses the requester's
+ * preferred_units in both directions:
+ *
+ * - writes (create/update requests) convert the weight fields present in the
+ *   body from `input_units` (when sent) or the requester's preference to the
+ *   canonical unit
+ * - responses (onRecordEnrich, also used for realtime events) convert back
+ *   and add a `units` field with the system of the returned values
+ *
+ * `?units=canonical` turns both conversions off: values are sent and
+ * returned in kg/cm.
+ */
+
+const exerciseData = require(`${__hooks}/lib/exercise_data.js`);
+
+const KG_PER_LB = 0.45359237;
+const CM_PER_IN = 2.54;
+
+const UNITS = {
+  kg: "kg",
+  lbs: "lbs",
+};
+
+const SYSTEMS = {
+  metric: "metric",
+  imperial: "imperial",
+};
+
+const BYPASS_PARAM = "units";
+const BYPASS_VALUE = "canonical";
+
+const SET_WEIGHT_KEYS = ["weight", "actual_weight", "actualWeight", "target_weight", "targetWeight"];
+const PERFORMANCE_WEIGHT_KEYS = ["volume", "top_weight", "best_e1rm"];
+
+// PR tag types whose value (and previous value) is a weight
+const WEIGHT_TAG_TYPES = ["heaviest_weight", "best_e1rm", "best_volume"];
+
+// Converted fields per collection and their kind
+const COLLECTION_FIELDS = {
+  workouts: { exercises: "exercises" },
+  workout_sessions: { exercise_data: "exercises", personal_records: "pr_tags" },
+  workout_history: { total_weight: "weight", performance_data: "performance" },
+  user_preferences: { weight: "weight", height: "length" },
+  personal_records: {
+    heaviest_weight: "weight",
+    best_e1rm: "weight",
+    best_volume: "weight",
+    rep_records: "rep_records",
+  },
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Converts a weight (or volume) in kg to `unit`, rounded to 2 decimals.
+ */
+function fromKg(value, unit) {
+  return round(unit === UNITS.lbs ? value / KG_PER_LB : value);
+}
+
+/**
+ * Converts a weight in `unit` to kg: the value with the fewest decimals (2
+ * or 3) that converts back to the entered value, so a stored 100 kg shown as
+ * 220.46 lbs and sent back unchanged stays 100 kg.
+ */
+function toKg(value, unit) {
+  if (unit !== UNITS.lbs) {
+    return value;
+  }
+
+  const kg = value * KG_PER_LB;
+  for (const scale of [100, 1000]) {
+    const rounded = Math.round(kg * scale) / scale;
+    if (fromKg(rounded, unit) === round(value)) {
+      return rounded;
+    }
+  }
+  return kg;
+}
+
+/**
+ * Weight unit of a system (kg for metric or none).
+ */
+function unitOf(system) {
+  return system === SYSTEMS.imperial ? UNITS.lbs : UNITS.kg;
+}
+
+/**
+ * Scales the weight keys of every set in a raw exercise list (a copy is
+ * returned). `convert(value)` is applied to numeric weights only.
+ */
+function convertExercises(list, convert) {
+  if (!Array.isArray(list)) {
+    return list;
+  }
+
+  return list.map((entry) => {
+    if (!entry || typeof entry !== "object" || !Array.isArray(entry.sets)) {
+      return entry;
+    }
+    return Object.assign({}, entry, {
+      sets: entry.sets.map((set) => {
+        if (!set || typeof set !== "object") {
+          return set;
+        }
+        const copy = Object.assign({}, set);
+        for (const key of SET_WEIGHT_KEYS) {
+          if (typeof copy[key] === "number") {
+            copy[key] = convert(copy[key]);
+          }
+        }
+        return copy;
+      }),
+    });
+  });
+}
+
+/**
+ * An exercise list in canonical units, converted for a response in `system`
+ * (see responseSystem).
+ */
+function displayExercises(list, system) {
+  return system === SYSTEMS.imperial ? convertExercises(list, (v) => fromKg(v, UNITS.lbs)) : list;
+}
+
+function convertPerformance(data, convert) {
+  if (!data || typeof data !== "object" || !Array.isArray(data.exercises)) {
+    return data;
+  }
+
+  return Object.assign({}, data, {
+    exercises: data.exercises.map((exercise) => {
+      if (!exercise || typeof exercise !== "object") {
+        return exercise;
+      }
+      const copy = Object.assign({}, exercise);
+      for (const key of PERFORMANCE_WEIGHT_KEYS) {
+        if (typeof copy[key] === "number") {
+          copy[key] = convert(copy[key]);
+        }
+      }
+      return copy;
+    }),
+  });
+}
+
+function convertTags(tags, convert) {
+  if (!Array.isArray(tags)) {
+    return tags;
+  }
+
+  return tags.map((tag) => {
+    if (!tag || typeof tag !== "object") {
+      return tag;
+    }
+    const copy = Object.assign({}, tag);
+    const keys = WEIGHT_TAG_TYPES.includes(copy.type) ? ["value", "previous"] : ["weight"];
+    for (const key of keys) {
+      if (typeof copy[key] === "number") {
+        copy[key] = convert(copy[key]);
+      }
+    }
+    return copy;
+  });
+}
+
+/**
+ * Re-keys personal_records.rep_records (keyed by the weight) with the
+ * converted weights.
+ */
+function convertRepRecords(records, convert) {
+  if (!records || typeof records !== "object" || Array.isArray(records)) {
+    return records;
+  }
+
+  const converted = {};
+  for (const [weight, entry] of Object.entries(records)) {
+    const value = parseFloat(weight);
+    converted[isNaN(value) ? weight : String(convert(value))] = entry;
+  }
+  return converted;
+}
+
+/**
+ * Converts `fields` of the record between canonical units and `system`.
+ * `toCanonical` picks the direction.
+ */
+function convertRecord(record, system, toCanonical, fields) {
+  if (system !== SYSTEMS.imperial) {
+    return;
+  }
+
+  const kinds = COLLECTION_FIELDS[record.collection().name] || {};
+  const weight = toCanonical ? (v) => toKg(v, UNITS.lbs) : (v) => fromKg(v, UNITS.lbs);
+  const length = toCanonical ? (v) => v * CM_PER_IN : (v) => round(v / CM_PER_IN);
+
+  for (const field of fields || Object.keys(kinds)) {
+    switch (kinds[field]) {
+      case "weight":
+        record.set(field, weight(record.getFloat(field)));
+        break;
+      case "length":
+        record.set(field, length(record.getFloat(field)));
+        break;
+      case "exercises":
+        record.set(field, convertExercises(exerciseData.readJSONField(record, field, []), weight));
+        break;
+      case "performance":
+        record.set(field, convertPerformance(exerciseData.readJSONField(record, field, {}), weight));
+        break;
+      case "pr_tags":
+        record.set(field, convertTags(exerciseData.readJSONField(record, field, []), weight));
+        break;
+      case "rep_records":
+        record.set(field, convertRepRecords(exerciseData.readJSONField(record, field, {}), weight));
+        break;
+    }
+  }
+}
+
+/**
+ * The user's preferred_units, cached in the app store until their
+ * preferences change.
+ */
+function systemFor(app, userId) {
+  const key = `units:${userId}`;
+  if (app.store().has(key)) {
+    return app.store().get(key);
+  }
+
+  let system = SYSTEMS.metric;
+  try {
+    const preferences = app.findFirstRecordByFilter("user_preferences", "user_id = {:user}", { user: userId });
+    system = preferences.getString("preferred_units") || SYSTEMS.metric;
+  } catch (err) {
+    // No preferences yet
+  }
+
+  app.store().set(key, system);
+  return system;
+}
+
+function forgetSystem(app, userId) {
+  app.store().remove(`units:${userId}`);
+}
+
+function isBypassed(info) {
+  return !!info && !!info.query && info.query[BYPASS_PARAM] === BYPASS_VALUE;
+}
+
+/**
+ * The system values should be returned in for a request: null when
+ * bypassed or without a signed-in user (canonical units).
+ */
+function responseSystem(app, info) {
+  if (isBypassed(info) || !info.auth || info.auth.collection().name !== "users") {
+    return null;
+  }
+  return systemFor(app, info.auth.id);
+}
+
+/**
+ * Request hook for create/update of the converted collections: converts the
+ * fields sent in the body to canonical units and stamps `input_units`.
+ */
+function handleWriteRequest(e) {
+  const info = e.requestInfo();
+  const body = info.body || {};
+  const kinds = COLLECTION_FIELDS[e.record.collection().name] || {};
+  const sent = Object.keys(kinds).filter((field) => body[field] !== undefined);
+
+  let system = SYSTEMS.metric;
+  if (!isBypassed(info)) {
+    if (Object.values(SYSTEMS).includes(body.input_units)) {
+      system = body.input_units;
+    } else if (e.record.collection().name === "user_preferences") {
+      system = e.record.getString("preferred_units") || SYSTEMS.metric;
+    } else if (info.auth && info.auth.collection().name === "users") {
+      system = systemFor(e.app, info.auth.id);
+    }
+  }
+
+  convertRecord(e.record, system, true, sent);
+  if (sent.length > 0 || e.record.isNew()) {
+    e.record.set("input_units", system);
+  }
+
+  e.next();
+}
+
+/**
+ * onRecordEnrich hook: converts the record to the requester's units.
+ */
+function handleEnrich(e) {
+  const system = responseSystem(e.app, e.requestInfo);
+  if (system) {
+    convertRecord(e.record, system, false);
+  }
+
+  e.record.withCustomData(true);
+  e.record.set("units", system || SYSTEMS.metric);
+
+  e.next();
+}
+
+module.exports = {
+  KG_PER_LB,
+  UNITS,
+  SYSTEMS,
+  fromKg,
+  toKg,
+  unitOf,
+  convertExercises,
+  displayExercises,
+  systemFor,
+  forgetSystem,
+  responseSystem,
+  handleWriteRequest,
+  handleEnrich,
+};
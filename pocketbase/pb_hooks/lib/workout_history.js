@@ -0,0 +1,240 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Builds the `workout_history` row for a completed `workout_sessions` record.
+ *
+ * The row is upserted by `workout_session_id` (unique, see migration
+ * 1763101600_history_session_unique.js), so completing the same session twice
+ * never produces duplicates.
+ *
+ * The app still posts its own history rows, without a session. Rows it wrote
+ * while the session ran (unnamed, or named like the session's workout) are
+ * adopted as the session's row (the newest one; the others are deleted). A
+ * client row posted right after a session completed is answered with the
+ * session's row instead of being created, if it describes that session: same
+ * workout name, and the same totals or a duration within tolerance.
+ *
+ * The user's cycle phase and cycle day on the (local) completion date are
+ * snapshotted onto the row for the phase analytics. `is_partial` follows the
+ * session (abandoned sessions finalized by the cleanup cron).
+ */
+
+const exerciseData = require(`${__hooks}/lib/exercise_data.js`);
+const cycleTracking = require(`${__hooks}/lib/cycle_tracking.js`);
+const dates = require(`${__hooks}/lib/dates.js`);
+
+// Slack around a session's start and completion for matching client rows
+const CLIENT_ROW_MARGIN_MS = 15 * 60 * 1000;
+
+// Duration difference still treated as the same workout: the larger of
+// DURATION_TOLERANCE_SECONDS and DURATION_TOLERANCE_RATIO of the duration
+const DURATION_TOLERANCE_SECONDS = 120;
+const DURATION_TOLERANCE_RATIO = 0.1;
+
+function findWorkoutName(app, workoutId) {
+  if (!workoutId) {
+    return "Workout";
+  }
+
+  try {
+    const workout = app.findRecordById("workouts", workoutId);
+    return workout.getString("name") || "Workout";
+  } catch (e) {
+    return "Workout";
+  }
+}
+
+function findHistoryForSession(app, sessionId) {
+  try {
+    return app.findFirstRecordByFilter(
+      "workout_history",
+      "workout_session_id = {:sessionId}",
+      { sessionId: sessionId }
+    );
+  } catch (e) {
+    return null;
+  }
+}
+
+function toDateTime(ms) {
+  return new DateTime(new Date(ms).toISOString());
+}
+
+function sameName(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+/**
+ * Takes over the history rows a client wrote without a session while
+ * `session` ran (see the module comment): returns the newest, with the
+ * others deleted, or null.
+ */
+function adoptClientRows(app, session, workoutName) {
+  const completedAt = session.getDateTime("completed_at");
+  const startedAt = session.getDateTime("started_at");
+  const start = (startedAt.isZero() ? completedAt : startedAt).unix() * 1000;
+
+  const rows = app.findRecordsByFilter(
+    "workout_history",
+    "user_id = {:user} && workout_session_id = '' && created >= {:lower} && created <= {:upper}",
+    "-created",
+    0,
+    0,
+    {
+      user: session.getString("user_id"),
+      lower: toDateTime(start - CLIENT_ROW_MARGIN_MS),
+      upper: toDateTime(completedAt.unix() * 1000 + CLIENT_ROW_MARGIN_MS),
+    }
+  ).filter((row) => !row.getString("workout_name") || sameName(row.getString("workout_name"), workoutName));
+
+  for (const duplicate of rows.slice(1)) {
+    app.delete(duplicate);
+  }
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * History rows of the sessions `userId` completed in the last
+ * CLIENT_ROW_MARGIN_MS, newest first.
+ */
+function findRecentSessionHistory(app, userId) {
+  const rows = arrayOf(new DynamicModel({ id: "" }));
+  app.db().newQuery(`
+    SELECT h.id FROM workout_history h
+    JOIN workout_sessions s ON s.id = h.workout_session_id
+    WHERE h.user_id = {:user} AND s.is_completed = TRUE AND s.completed_at >= {:lower}
+    ORDER BY s.completed_at DESC
+  `).bind({
+    user: userId,
+    lower: toDateTime(Date.now() - CLIENT_ROW_MARGIN_MS),
+  }).all(rows);
+
+  const ids = rows.map((row) => row.id);
+  return app.findRecordsByIds("workout_history", ids)
+    .sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+}
+
+/**
+ * Whether the posted row `record` (named `name`) describes the same workout
+ * as the session's history row `existing`.
+ */
+function describesSession(record, name, existing) {
+  if (!name || !sameName(name, existing.getString("workout_name"))) {
+    return false;
+  }
+
+  const sets = record.getInt("total_sets");
+  const reps = record.getInt("total_reps");
+  if (sets > 0 && sets === existing.getInt("total_sets") && reps === existing.getInt("total_reps")) {
+    return true;
+  }
+
+  const duration = record.getInt("duration");
+  const expected = existing.getInt("duration");
+  const tolerance = Math.max(DURATION_TOLERANCE_SECONDS, expected * DURATION_TOLERANCE_RATIO);
+  return duration > 0 && Math.abs(duration - expected) <= tolerance;
+}
+
+/**
+ * Create request hook for workout_history: a row posted by a client without
+ * a session right after a session completed, describing that session (see
+ * describesSession), duplicates the session's row, which is returned
+ * instead. Anything else is created as usual.
+ */
+function handleClientCreate(e) {
+  if (e.hasSuperuserAuth() || !e.auth || e.record.getString("workout_session_id")) {
+    return e.next();
+  }
+
+  // The app sends the workout name as `name`
+  const body = e.requestInfo().body || {};
+  const name = e.record.getString("workout_name") || (typeof body.name === "string" ? body.name : "");
+
+  const existing = findRecentSessionHistory(e.app, e.auth.id)
+    .find((history) => describesSession(e.record, name, history));
+  if (!existing) {
+    return e.next();
+  }
+
+  $apis.enrichRecord(e, existing);
+  return e.json(200, existing);
+}
+
+/**
+ * Session duration in seconds. Prefers the started/completed timestamps and
+ * falls back to the session's own `total_duration`.
+ */
+function sessionDuration(session) {
+  const startedAt = session.getDateTime("started_at");
+  const completedAt = session.getDateTime("completed_at");
+
+  if (!startedAt.isZero() && !completedAt.isZero()) {
+    const seconds = completedAt.unix() - startedAt.unix();
+    if (seconds >= 0) {
+      return seconds;
+    }
+  }
+
+  return session.getFloat("total_duration") || 0;
+}
+
+/**
+ * Cycle state of the user on the day the session was completed.
+ */
+function cycleSnapshot(app, session) {
+  const userId = session.getString("user_id");
+  const completedAt = session.getDateTime("completed_at");
+  if (!userId || completedAt.isZero()) {
+    return { phase: null, cycleDay: null };
+  }
+
+  const preferences = cycleTracking.findPreferences(app, userId);
+  const timezone = preferences ? preferences.getString("timezone") : "";
+  const fallbackLength = preferences ? preferences.getFloat("average_cycle_length") : 0;
+  const day = dates.localDate(timezone, new Date(completedAt.unix() * 1000));
+
+  return cycleTracking.cycleState(app, userId, day, fallbackLength);
+}
+
+/**
+ * Creates or refreshes the history row for `session` using `app`, which
+ * should be the transactional app of the session save.
+ */
+function syncFromSession(app, session) {
+  const exercises = exerciseData.normalizeExercises(
+    exerciseData.readJSONField(session, "exercise_data", [])
+  );
+  const summary = exerciseData.summarizeExercises(exercises);
+
+  const workoutName = findWorkoutName(app, session.getString("workout_id"));
+  let history = findHistoryForSession(app, session.id) || adoptClientRows(app, session, workoutName);
+  if (!history) {
+    history = new Record(app.findCollectionByNameOrId("workout_history"));
+  }
+  history.set("workout_session_id", session.id);
+
+  history.set("user_id", session.getString("user_id"));
+  history.set("workout_name", workoutName);
+  history.set("completed_at", session.getDateTime("completed_at"));
+  history.set("duration", sessionDuration(session));
+  history.set("exercises_completed", summary.exercises_completed);
+  history.set("total_sets", summary.total_sets);
+  history.set("total_reps", summary.total_reps);
+  history.set("total_weight", summary.total_weight);
+  history.set("notes", session.getString("notes"));
+  history.set("is_partial", session.getBool("is_partial"));
+  history.set("input_units", session.getString("input_units"));
+  history.set("performance_data", { exercises: summary.exercises });
+
+  const cycle = cycleSnapshot(app, session);
+  history.set("cycle_phase", cycle.phase || "");
+  history.set("cycle_day", cycle.cycleDay || 0);
+
+  app.save(history);
+  return history;
+}
+
+module.exports = {
+  syncFromSession,
+  handleClientCreate,
+};
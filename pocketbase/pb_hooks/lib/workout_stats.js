@@ -0,0 +1,393 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Workout statistics aggregated in SQL from `workout_history`.
+ *
+ * Per-exercise and per-muscle-group volume come from the
+ * `performance_data.exercises` breakdown written by the session completion
+ * hook (lib/workout_history.js). An exercise's volume counts fully towards
+ * each of its muscle groups.
+ *
+ * The cycle phase breakdown uses the `cycle_phase`/`cycle_day` snapshot the
+ * completion hook stores on each row; rows without one are reported as
+ * "unknown".
+ *
+ * Weights and volumes are summed in kg and converted to the requester's
+ * preferred_units before responding.
+ *
+ * DynamicModel shapes use `-0` as the initial value of float columns.
+ */
+
+const params = require(`${__hooks}/lib/request_params.js`);
+const dates = require(`${__hooks}/lib/dates.js`);
+const units = require(`${__hooks}/lib/units.js`);
+
+// Period start expressions, keyed by the groupBy query parameter
+const PERIOD_EXPRESSIONS = {
+  day: "date(h.completed_at)",
+  week: "date(h.completed_at, '-6 days', 'weekday 1')",
+  month: "strftime('%Y-%m-01', h.completed_at)",
+};
+
+const HISTORY_SCOPE = `
+  h.user_id = {:user}
+  AND h.completed_at >= {:lower}
+  AND h.completed_at < {:upper}
+`;
+
+/**
+ * Converts the weight `keys` of each row (in place) from kg to `unit`.
+ */
+function convertWeights(rows, keys, unit) {
+  for (const row of rows) {
+    for (const key of keys) {
+      row[key] = units.fromKg(row[key], unit);
+    }
+  }
+  return rows;
+}
+
+function totals(app, bindings) {
+  const row = new DynamicModel({
+    sessions: 0,
+    duration: -0,
+    sets: -0,
+    reps: -0,
+    volume: -0,
+  });
+
+  app.db().newQuery(`
+    SELECT
+      COUNT(*) AS sessions,
+      COALESCE(SUM(h.duration), 0) AS duration,
+      COALESCE(SUM(h.total_sets), 0) AS sets,
+      COALESCE(SUM(h.total_reps), 0) AS reps,
+      COALESCE(SUM(h.total_weight), 0) AS volume
+    FROM workout_history h
+    WHERE ${HISTORY_SCOPE}
+  `).bind(bindings).one(row);
+
+  const per = (value) => (row.sessions > 0 ? value / row.sessions : 0);
+
+  return {
+    totals: {
+      sessions: row.sessions,
+      duration: row.duration,
+      sets: row.sets,
+      reps: row.reps,
+      volume: row.volume,
+    },
+    averages: {
+      duration: per(row.duration),
+      sets: per(row.sets),
+      reps: per(row.reps),
+      volume: per(row.volume),
+    },
+  };
+}
+
+function periods(app, bindings, groupBy) {
+  const rows = arrayOf(new DynamicModel({
+    period: "",
+    sessions: 0,
+    duration: -0,
+    sets: -0,
+    reps: -0,
+    volume: -0,
+  }));
+
+  app.db().newQuery(`
+    SELECT
+      ${PERIOD_EXPRESSIONS[groupBy]} AS period,
+      COUNT(*) AS sessions,
+      COALESCE(SUM(h.duration), 0) AS duration,
+      COALESCE(SUM(h.total_sets), 0) AS sets,
+      COALESCE(SUM(h.total_reps), 0) AS reps,
+      COALESCE(SUM(h.total_weight), 0) AS volume
+    FROM workout_history h
+    WHERE ${HISTORY_SCOPE}
+    GROUP BY period
+    ORDER BY period
+  `).bind(bindings).all(rows);
+
+  return rows.map((row) => ({
+    period: row.period,
+    sessions: row.sessions,
+    duration: row.duration,
+    sets: row.sets,
+    reps: row.reps,
+    volume: row.volume,
+  }));
+}
+
+/**
+ * Day streaks (consecutive days with at least one completed workout) using
+ * the gaps-and-islands pattern. `current` is the streak that ends on the last
+ * day of the range or the day before it.
+ */
+function streaks(app, bindings, range) {
+  const rows = arrayOf(new DynamicModel({
+    start_date: "",
+    end_date: "",
+    length: 0,
+  }));
+
+  app.db().newQuery(`
+    WITH days AS (
+      SELECT DISTINCT date(h.completed_at) AS day
+      FROM workout_history h
+      WHERE ${HISTORY_SCOPE}
+    ),
+    islands AS (
+      SELECT day, julianday(day) - ROW_NUMBER() OVER (ORDER BY day) AS grp
+      FROM days
+    )
+    SELECT MIN(day) AS start_date, MAX(day) AS end_date, COUNT(*) AS length
+    FROM islands
+    GROUP BY grp
+    ORDER BY length DESC, end_date DESC
+  `).bind(bindings).all(rows);
+
+  const dayBefore = dates.addDays(range.to, -1);
+  const current = rows.find((row) => row.end_date === range.to || row.end_date === dayBefore);
+  const longest = rows[0];
+
+  return {
+    current: current ? current.length : 0,
+    longest: longest ? longest.length : 0,
+    longest_start: longest ? longest.start_date : null,
+    longest_end: longest ? longest.end_date : null,
+  };
+}
+
+function exerciseVolume(app, bindings) {
+  const rows = arrayOf(new DynamicModel({
+    exercise_id: "",
+    exercise_name: "",
+    sessions: 0,
+    sets: -0,
+    reps: -0,
+    volume: -0,
+    top_weight: -0,
+  }));
+
+  app.db().newQuery(`
+    SELECT
+      json_extract(x.value, '$.exercise_id') AS exercise_id,
+      MAX(json_extract(x.value, '$.exercise_name')) AS exercise_name,
+      COUNT(DISTINCT h.id) AS sessions,
+      COALESCE(SUM(json_extract(x.value, '$.sets_completed')), 0) AS sets,
+      COALESCE(SUM(json_extract(x.value, '$.total_reps')), 0) AS reps,
+      COALESCE(SUM(json_extract(x.value, '$.volume')), 0) AS volume,
+      COALESCE(MAX(json_extract(x.value, '$.top_weight')), 0) AS top_weight
+    FROM workout_history h, json_each(h.performance_data, '$.exercises') x
+    WHERE ${HISTORY_SCOPE}
+      AND json_valid(h.performance_data)
+    GROUP BY exercise_id
+    ORDER BY volume DESC
+  `).bind(bindings).all(rows);
+
+  return rows.map((row) => ({
+    exercise_id: row.exercise_id,
+    exercise_name: row.exercise_name,
+    sessions: row.sessions,
+    sets: row.sets,
+    reps: row.reps,
+    volume: row.volume,
+    top_weight: row.top_weight,
+  }));
+}
+
+function muscleGroupVolume(app, bindings) {
+  const rows = arrayOf(new DynamicModel({
+    muscle_group: "",
+    sets: -0,
+    volume: -0,
+  }));
+
+  app.db().newQuery(`
+    SELECT
+      mg.value AS muscle_group,
+      COALESCE(SUM(json_extract(x.value, '$.sets_completed')), 0) AS sets,
+      COALESCE(SUM(json_extract(x.value, '$.volume')), 0) AS volume
+    FROM workout_history h,
+      json_each(h.performance_data, '$.exercises') x
+      JOIN exercises ex ON ex.id = json_extract(x.value, '$.exercise_id'),
+      json_each(ex.muscle_groups) mg
+    WHERE ${HISTORY_SCOPE}
+      AND json_valid(h.performance_data)
+      AND json_valid(ex.muscle_groups)
+    GROUP BY muscle_group
+    ORDER BY volume DESC
+  `).bind(bindings).all(rows);
+
+  return rows.map((row) => ({
+    muscle_group: row.muscle_group,
+    sets: row.sets,
+    volume: row.volume,
+  }));
+}
+
+function phaseTotals(app, bindings) {
+  const rows = arrayOf(new DynamicModel({
+    phase: "",
+    sessions: 0,
+    avg_duration: -0,
+    volume: -0,
+    avg_volume: -0,
+    avg_cycle_day: -0,
+  }));
+
+  app.db().newQuery(`
+    SELECT
+      COALESCE(NULLIF(h.cycle_phase, ''), 'unknown') AS phase,
+      COUNT(*) AS sessions,
+      COALESCE(AVG(h.duration), 0) AS avg_duration,
+      COALESCE(SUM(h.total_weight), 0) AS volume,
+      COALESCE(AVG(h.total_weight), 0) AS avg_volume,
+      COALESCE(AVG(NULLIF(h.cycle_day, 0)), 0) AS avg_cycle_day
+    FROM workout_history h
+    WHERE ${HISTORY_SCOPE}
+    GROUP BY phase
+  `).bind(bindings).all(rows);
+
+  return rows.map((row) => ({
+    phase: row.phase,
+    sessions: row.sessions,
+    avg_duration: row.avg_duration,
+    volume: row.volume,
+    avg_volume: row.avg_volume,
+    avg_cycle_day: row.avg_cycle_day,
+  }));
+}
+
+/**
+ * Per exercise and phase: volume, top-set weight and estimated 1RM. Rows
+ * written before best_e1rm was recorded don't count towards the 1RM values.
+ */
+function phaseExercises(app, bindings) {
+  const rows = arrayOf(new DynamicModel({
+    exercise_id: "",
+    exercise_name: "",
+    phase: "",
+    sessions: 0,
+    avg_volume: -0,
+    top_weight: -0,
+    avg_top_weight: -0,
+    best_e1rm: -0,
+    avg_e1rm: -0,
+  }));
+
+  app.db().newQuery(`
+    SELECT
+      json_extract(x.value, '$.exercise_id') AS exercise_id,
+      MAX(json_extract(x.value, '$.exercise_name')) AS exercise_name,
+      h.cycle_phase AS phase,
+      COUNT(DISTINCT h.id) AS sessions,
+      COALESCE(AVG(json_extract(x.value, '$.volume')), 0) AS avg_volume,
+      COALESCE(MAX(json_extract(x.value, '$.top_weight')), 0) AS top_weight,
+      COALESCE(AVG(json_extract(x.value, '$.top_weight')), 0) AS avg_top_weight,
+      COALESCE(MAX(json_extract(x.value, '$.best_e1rm')), 0) AS best_e1rm,
+      COALESCE(AVG(json_extract(x.value, '$.best_e1rm')), 0) AS avg_e1rm
+    FROM workout_history h, json_each(h.performance_data, '$.exercises') x
+    WHERE ${HISTORY_SCOPE}
+      AND h.cycle_phase != ''
+      AND json_valid(h.performance_data)
+      AND json_extract(x.value, '$.sets_completed') > 0
+      AND ({:exercise} = '' OR json_extract(x.value, '$.exercise_id') = {:exercise})
+    GROUP BY exercise_id, phase
+    ORDER BY exercise_name, phase
+  `).bind(bindings).all(rows);
+
+  const byExercise = {};
+  const exercises = [];
+  for (const row of rows) {
+    let exercise = byExercise[row.exercise_id];
+    if (!exercise) {
+      exercise = byExercise[row.exercise_id] = {
+        exercise_id: row.exercise_id,
+        exercise_name: row.exercise_name,
+        phases: [],
+      };
+      exercises.push(exercise);
+    }
+
+    exercise.phases.push({
+      phase: row.phase,
+      sessions: row.sessions,
+      avg_volume: row.avg_volume,
+      top_weight: row.top_weight,
+      avg_top_weight: row.avg_top_weight,
+      best_e1rm: row.best_e1rm,
+      avg_e1rm: row.avg_e1rm,
+    });
+  }
+
+  return exercises;
+}
+
+/**
+ * Route handler for GET /api/periolifts/stats/cycle?from=&to=&exercise=.
+ */
+function handleCycleStats(e) {
+  const range = params.readDateRange(e, 180);
+
+  const bindings = {
+    user: e.auth.id,
+    lower: range.lower,
+    upper: range.upper,
+    exercise: (e.request.url.query().get("exercise") || "").trim(),
+  };
+
+  const system = units.responseSystem(e.app, e.requestInfo());
+  const unit = units.unitOf(system);
+
+  const exercises = phaseExercises(e.app, bindings);
+  for (const exercise of exercises) {
+    convertWeights(exercise.phases, ["avg_volume", "top_weight", "avg_top_weight", "best_e1rm", "avg_e1rm"], unit);
+  }
+
+  return e.json(200, {
+    from: range.from,
+    to: range.to,
+    units: system || units.SYSTEMS.metric,
+    phases: convertWeights(phaseTotals(e.app, bindings), ["volume", "avg_volume"], unit),
+    exercises: exercises,
+  });
+}
+
+/**
+ * Route handler for GET /api/periolifts/stats?from=&to=&groupBy=.
+ */
+function handleStats(e) {
+  const range = params.readDateRange(e, 90);
+  const groupBy = params.readEnumParam(e, "groupBy", Object.keys(PERIOD_EXPRESSIONS), "week");
+
+  const bindings = {
+    user: e.auth.id,
+    lower: range.lower,
+    upper: range.upper,
+  };
+
+  const system = units.responseSystem(e.app, e.requestInfo());
+  const unit = units.unitOf(system);
+  const summary = totals(e.app, bindings);
+
+  return e.json(200, {
+    from: range.from,
+    to: range.to,
+    group_by: groupBy,
+    units: system || units.SYSTEMS.metric,
+    totals: convertWeights([summary.totals], ["volume"], unit)[0],
+    averages: convertWeights([summary.averages], ["volume"], unit)[0],
+    streaks: streaks(e.app, bindings, range),
+    periods: convertWeights(periods(e.app, bindings, groupBy), ["volume"], unit),
+    exercises: convertWeights(exerciseVolume(e.app, bindings), ["volume", "top_weight"], unit),
+    muscle_groups: convertWeights(muscleGroupVolume(e.app, bindings), ["volume"], unit),
+  });
+}
+
+module.exports = {
+  handleStats,
+  handleCycleStats,
+};
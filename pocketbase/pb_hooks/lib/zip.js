@@ -0,0 +1,145 @@
+/// <reference path="../../pb_data/types.d.ts" />
+
+/**
+ * Minimal zip writer for generated text files.
+ *
+ * The JSVM has no archive bindings, so entries are written with the "stored"
+ * method (no compression), which every unzip tool reads. Enough for exports
+ * of a single user's data; not meant for large or binary files.
+ */
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = [];
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable.push(c >>> 0);
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function utf8Bytes(text) {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+  }
+  return bytes;
+}
+
+function pushUint16(out, value) {
+  out.push(value & 0xff, (value >>> 8) & 0xff);
+}
+
+function pushUint32(out, value) {
+  out.push(value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff);
+}
+
+function pushBytes(out, bytes) {
+  for (let i = 0; i < bytes.length; i++) {
+    out.push(bytes[i]);
+  }
+}
+
+/**
+ * MS-DOS date and time of `date` (UTC), as stored in zip headers.
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1),
+    date: ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate(),
+  };
+}
+
+// Version needed to extract (2.0) and the UTF-8 file name flag
+const VERSION = 20;
+const UTF8_FLAG = 0x0800;
+
+/**
+ * Builds a zip archive from `[{ name, content }]` (string contents, written
+ * as UTF-8) and returns its bytes.
+ */
+function createZip(files, modified) {
+  const stamp = dosDateTime(modified || new Date());
+  const out = [];
+  const central = [];
+
+  for (const file of files) {
+    const name = utf8Bytes(file.name);
+    const data = utf8Bytes(file.content);
+    const crc = crc32(data);
+    const offset = out.length;
+
+    pushUint32(out, 0x04034b50);
+    pushUint16(out, VERSION);
+    pushUint16(out, UTF8_FLAG);
+    pushUint16(out, 0); // stored
+    pushUint16(out, stamp.time);
+    pushUint16(out, stamp.date);
+    pushUint32(out, crc);
+    pushUint32(out, data.length);
+    pushUint32(out, data.length);
+    pushUint16(out, name.length);
+    pushUint16(out, 0);
+    pushBytes(out, name);
+    pushBytes(out, data);
+
+    pushUint32(central, 0x02014b50);
+    pushUint16(central, VERSION);
+    pushUint16(central, VERSION);
+    pushUint16(central, UTF8_FLAG);
+    pushUint16(central, 0);
+    pushUint16(central, stamp.time);
+    pushUint16(central, stamp.date);
+    pushUint32(central, crc);
+    pushUint32(central, data.length);
+    pushUint32(central, data.length);
+    pushUint16(central, name.length);
+    pushUint16(central, 0); // extra field length
+    pushUint16(central, 0); // comment length
+    pushUint16(central, 0); // disk number
+    pushUint16(central, 0); // internal attributes
+    pushUint32(central, 0); // external attributes
+    pushUint32(central, offset);
+    pushBytes(central, name);
+  }
+
+  const centralOffset = out.length;
+  pushBytes(out, central);
+
+  pushUint32(out, 0x06054b50);
+  pushUint16(out, 0);
+  pushUint16(out, 0);
+  pushUint16(out, files.length);
+  pushUint16(out, files.length);
+  pushUint32(out, central.length);
+  pushUint32(out, centralOffset);
+  pushUint16(out, 0);
+
+  return out;
+}
+
+module.exports = {
+  crc32,
+  utf8Bytes,
+  createZip,
+};
@@ -0,0 +1,19 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Missed Workouts
+ *
+ * Daily at 00:30 UTC, schedule rows whose date passed without a completed
+ * session are marked missed or moved according to the plan's missed_policy
+ * (see lib/missed_workouts.js). Each run's moves can be reverted with:
+ *
+ * POST /api/periolifts/schedule/moves/{id}/undo
+ */
+
+cronAdd("rescheduleMissedWorkouts", "30 0 * * *", () => {
+  require(`${__hooks}/lib/missed_workouts.js`).processAll($app);
+});
+
+routerAdd("POST", "/api/periolifts/schedule/moves/{id}/undo", (e) => {
+  return require(`${__hooks}/lib/missed_workouts.js`).handleUndo(e);
+}, $apis.requireAuth("users"));
@@ -0,0 +1,21 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Progressive Overload
+ *
+ * Builds the next session's weight and reps for each exercise of a workout
+ * from the user's last completed sessions, using the progression scheme
+ * stored on the exercise entry (linear, double or rpe). The scheme can be set
+ * for the whole workout (or some exercises) in one call.
+ *
+ * GET /api/periolifts/workouts/{id}/next?sessions=3
+ * PUT /api/periolifts/workouts/{id}/progression
+ */
+
+routerAdd("GET", "/api/periolifts/workouts/{id}/next", (e) => {
+  return require(`${__hooks}/lib/progression.js`).handleNext(e);
+}, $apis.requireAuth("users"));
+
+routerAdd("PUT", "/api/periolifts/workouts/{id}/progression", (e) => {
+  return require(`${__hooks}/lib/progression.js`).handleSetScheme(e);
+}, $apis.requireAuth("users"));
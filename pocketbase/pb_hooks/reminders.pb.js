@@ -0,0 +1,18 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Reminders
+ *
+ * An hourly cron enqueues workout and period reminders for today and
+ * tomorrow (in each user's timezone) into notifications_outbox; a second
+ * cron delivers due entries every few minutes through the sender selected
+ * with PB_NOTIFICATIONS_SENDER (mail, webhook or log).
+ */
+
+cronAdd("enqueueReminders", "10 * * * *", () => {
+  require(`${__hooks}/lib/reminders.js`).enqueueAll($app);
+});
+
+cronAdd("sendNotifications", "*/5 * * * *", () => {
+  require(`${__hooks}/lib/reminders.js`).dispatchAll($app);
+});
@@ -0,0 +1,37 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Recurring Schedule Rules
+ *
+ * schedule_rules describe patterns such as "Mon/Wed/Fri, workout A/B
+ * alternating, for 12 weeks"; the concrete workout_plan_schedules rows are
+ * generated from them (see lib/schedule_rules.js).
+ *
+ * - Creating or editing a rule rebuilds its rows from today onwards
+ * - Deleting a rule removes its future rows; past rows are kept
+ * - A daily cron extends every active rule over the rolling window
+ */
+
+onRecordCreateRequest((e) => {
+  require(`${__hooks}/lib/schedule_rules.js`).validateRequest(e);
+}, "schedule_rules");
+
+onRecordUpdateRequest((e) => {
+  require(`${__hooks}/lib/schedule_rules.js`).validateRequest(e);
+}, "schedule_rules");
+
+onRecordCreate((e) => {
+  require(`${__hooks}/lib/schedule_rules.js`).handleRuleSave(e);
+}, "schedule_rules");
+
+onRecordUpdate((e) => {
+  require(`${__hooks}/lib/schedule_rules.js`).handleRuleSave(e);
+}, "schedule_rules");
+
+onRecordDelete((e) => {
+  require(`${__hooks}/lib/schedule_rules.js`).handleRuleDelete(e);
+}, "schedule_rules");
+
+cronAdd("materializeScheduleRules", "15 0 * * *", () => {
+  require(`${__hooks}/lib/schedule_rules.js`).materializeAll($app);
+});
@@ -0,0 +1,24 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Startup Schema Self-Check
+ *
+ * After the app has bootstrapped (and migrations have run), logs a warning
+ * for every expected index that is missing so a skipped or rolled back
+ * migration shows up in the logs instead of as slow queries.
+ */
+
+onBootstrap((e) => {
+  e.next();
+
+  const schemaBaseline = require(`${__hooks}/lib/schema_baseline.js`);
+  const missing = schemaBaseline.findMissingIndexes(e.app);
+
+  for (const { table, index } of missing) {
+    e.app.logger().warn("Missing expected index", "table", table, "index", index);
+  }
+
+  if (missing.length === 0) {
+    e.app.logger().debug("Schema self-check passed");
+  }
+});
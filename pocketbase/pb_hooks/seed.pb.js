@@ -0,0 +1,15 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Seeding
+ *
+ * Runs the seeding framework (lib/seed.js) on every server start, after
+ * migrations have been applied. Seeding is opt-in through PB_SEED_PROFILE
+ * (dev | demo | none, default none) and idempotent, so restarts never
+ * duplicate rows.
+ */
+
+onServe((e) => {
+  require(`${__hooks}/lib/seed.js`).runFromEnv(e.app);
+  e.next();
+});
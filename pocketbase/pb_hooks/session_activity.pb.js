@@ -0,0 +1,22 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Session Activity
+ *
+ * Stamps workout_sessions.last_activity_at as sets are logged, allows only
+ * one session in progress per user, and closes sessions that have been idle
+ * for PB_SESSION_IDLE_HOURS every 15 minutes (finalized as partial or
+ * discarded, per user_preferences.abandoned_session_action).
+ */
+
+onRecordCreate((e) => {
+  require(`${__hooks}/lib/session_activity.js`).handleSessionSave(e);
+}, "workout_sessions");
+
+onRecordUpdate((e) => {
+  require(`${__hooks}/lib/session_activity.js`).handleSessionSave(e);
+}, "workout_sessions");
+
+cronAdd("closeAbandonedSessions", "*/15 * * * *", () => {
+  require(`${__hooks}/lib/session_activity.js`).closeAbandoned($app);
+});
@@ -0,0 +1,35 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Session Completion Hooks
+ *
+ * When a workout_sessions record becomes completed (created completed, or
+ * `is_completed` flipped from false to true) the server:
+ * - writes the matching workout_history row, with the cycle phase and day
+ * - updates personal_records and tags the session with any new PRs
+ *
+ * Everything shares the session's transaction, so a dropped client
+ * connection can no longer leave a completed session without history.
+ *
+ * The app also posts its own workout_history rows. A row posted while the
+ * session runs is adopted by the completion, and one posted right after that
+ * describes the same workout gets the session's row back (see
+ * lib/workout_history.js), so each session keeps a single row.
+ *
+ * Handlers run in isolated contexts; shared logic lives in lib/ and is
+ * required inside each handler.
+ */
+
+onRecordCreate((e) => {
+  const sessionCompletion = require(`${__hooks}/lib/session_completion.js`);
+  sessionCompletion.handleSessionSave(e, false);
+}, "workout_sessions");
+
+onRecordUpdate((e) => {
+  const sessionCompletion = require(`${__hooks}/lib/session_completion.js`);
+  sessionCompletion.handleSessionSave(e, e.record.original().getBool("is_completed"));
+}, "workout_sessions");
+
+onRecordCreateRequest((e) => {
+  require(`${__hooks}/lib/workout_history.js`).handleClientCreate(e);
+}, "workout_history");
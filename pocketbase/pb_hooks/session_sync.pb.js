@@ -0,0 +1,16 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Session Sync
+ *
+ * Set-level updates of an in-progress session from several devices. Patches
+ * carry the session `revision` they are based on and are rejected with 409
+ * when another device saved first. Applied patches are pushed to realtime
+ * subscribers of `periolifts/sessions/<id>` (see lib/session_sync.js).
+ *
+ * PATCH /api/periolifts/sessions/{id}/sets
+ */
+
+routerAdd("PATCH", "/api/periolifts/sessions/{id}/sets", (e) => {
+  return require(`${__hooks}/lib/session_sync.js`).handlePatch(e);
+}, $apis.requireAuth("users"));
@@ -0,0 +1,15 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Strength Curve
+ *
+ * Time series of one exercise for the progress screen: top set, estimated
+ * 1RM (Epley or Brzycki), volume and rep PRs per session, in the user's
+ * preferred units.
+ *
+ * GET /api/periolifts/exercises/{id}/strength?from=&to=&formula=epley
+ */
+
+routerAdd("GET", "/api/periolifts/exercises/{id}/strength", (e) => {
+  return require(`${__hooks}/lib/strength_curve.js`).handleStrength(e);
+}, $apis.requireAuth("users"));
@@ -0,0 +1,25 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Cycle-Aware Training Load
+ *
+ * Returns a copy of a workout with its sets scaled for the user's cycle phase
+ * on the given date (default: today), with an explanation per change. The
+ * phase comes from cycle_logs, or from user_preferences.current_cycle_phase
+ * when no period is logged. The per-phase multipliers can be overridden in
+ * user_preferences.cycle_adjustments.
+ *
+ * GET /api/periolifts/workouts/{id}/adjusted?date=YYYY-MM-DD
+ */
+
+routerAdd("GET", "/api/periolifts/workouts/{id}/adjusted", (e) => {
+  return require(`${__hooks}/lib/training_load.js`).handleAdjusted(e);
+}, $apis.requireAuth("users"));
+
+onRecordCreateRequest((e) => {
+  require(`${__hooks}/lib/training_load.js`).validatePreferences(e);
+}, "user_preferences");
+
+onRecordUpdateRequest((e) => {
+  require(`${__hooks}/lib/training_load.js`).validatePreferences(e);
+}, "user_preferences");
@@ -0,0 +1,39 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Units
+ *
+ * Weights are stored in kg (height in cm). Create/update requests for
+ * workouts, workout_sessions, workout_history and user_preferences convert
+ * the sent values from the requester's preferred_units (or `input_units`)
+ * and stamp `input_units`; records in responses and realtime events are
+ * converted back, personal_records (read-only) included. `?units=canonical`
+ * skips both (see lib/units.js).
+ */
+
+onRecordCreateRequest((e) => {
+  require(`${__hooks}/lib/units.js`).handleWriteRequest(e);
+}, "workouts", "workout_sessions", "workout_history", "user_preferences");
+
+onRecordUpdateRequest((e) => {
+  require(`${__hooks}/lib/units.js`).handleWriteRequest(e);
+}, "workouts", "workout_sessions", "workout_history", "user_preferences");
+
+onRecordEnrich((e) => {
+  require(`${__hooks}/lib/units.js`).handleEnrich(e);
+}, "workouts", "workout_sessions", "workout_history", "user_preferences", "personal_records");
+
+onRecordAfterCreateSuccess((e) => {
+  require(`${__hooks}/lib/units.js`).forgetSystem(e.app, e.record.getString("user_id"));
+  e.next();
+}, "user_preferences");
+
+onRecordAfterUpdateSuccess((e) => {
+  require(`${__hooks}/lib/units.js`).forgetSystem(e.app, e.record.getString("user_id"));
+  e.next();
+}, "user_preferences");
+
+onRecordAfterDeleteSuccess((e) => {
+  require(`${__hooks}/lib/units.js`).forgetSystem(e.app, e.record.getString("user_id"));
+  e.next();
+}, "user_preferences");
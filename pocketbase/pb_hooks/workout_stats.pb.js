@@ -0,0 +1,26 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Workout Statistics API
+ *
+ * Server-side replacement for paging through workout_history on the client.
+ * Totals, averages, day streaks, per-period, per-exercise and per-muscle-group
+ * volume are aggregated in SQL and scoped to the authenticated user.
+ *
+ * GET /api/periolifts/stats?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=day|week|month
+ *
+ * Volume, top-set weight, estimated 1RM and duration grouped by the cycle
+ * phase snapshotted on each history row, optionally for one exercise:
+ *
+ * GET /api/periolifts/stats/cycle?from=YYYY-MM-DD&to=YYYY-MM-DD&exercise=<exercise id>
+ *
+ * Weights are returned in the user's preferred_units, named by `units`.
+ */
+
+routerAdd("GET", "/api/periolifts/stats", (e) => {
+  return require(`${__hooks}/lib/workout_stats.js`).handleStats(e);
+}, $apis.requireAuth("users"));
+
+routerAdd("GET", "/api/periolifts/stats/cycle", (e) => {
+  return require(`${__hooks}/lib/workout_stats.js`).handleCycleStats(e);
+}, $apis.requireAuth("users"));
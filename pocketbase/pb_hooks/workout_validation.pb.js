@@ -0,0 +1,30 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Exercise Payload Validation Hooks
+ *
+ * Rejects workouts and workout_sessions whose exercise JSON is empty,
+ * references exercises that don't exist, or holds non-numeric
+ * reps/weight/rest_time values. Errors are returned per field
+ * (`exercises` / `exercise_data`) like the built-in field validators.
+ */
+
+onRecordCreateRequest((e) => {
+  const validation = require(`${__hooks}/lib/exercise_validation.js`);
+  validation.validateRequest(e, "exercises", false);
+}, "workouts");
+
+onRecordUpdateRequest((e) => {
+  const validation = require(`${__hooks}/lib/exercise_validation.js`);
+  validation.validateRequest(e, "exercises", true);
+}, "workouts");
+
+onRecordCreateRequest((e) => {
+  const validation = require(`${__hooks}/lib/exercise_validation.js`);
+  validation.validateRequest(e, "exercise_data", false);
+}, "workout_sessions");
+
+onRecordUpdateRequest((e) => {
+  const validation = require(`${__hooks}/lib/exercise_validation.js`);
+  validation.validateRequest(e, "exercise_data", true);
+}, "workout_sessions");
@@ -1,21 +1,123 @@
 /// <reference path="../pb_data/types.d.ts" />
 
+/**
+ * Initial Superuser
+ *
+ * Credentials come only from the environment:
+ * - PB_SUPERUSER_EMAIL: superuser email (nothing is created when unset)
+ * - PB_SUPERUSER_PASSWORD: superuser password; when unset a random password
+ *   is generated and printed once to stdout
+ *
+ * Known-weak passwords are refused. With ENVIRONMENT=production a missing or
+ * weak configuration fails the migration instead of being skipped.
+ *
+ * Rollback only deletes the superuser when this migration created it: an
+ * account created while the migration was applied (see `_migrations`).
+ */
+
+const MIN_PASSWORD_LENGTH = 12
+
+// Longest expected gap between creating the superuser and recording the migration
+const CREATED_WINDOW_SECONDS = 60
+
+// Defaults and placeholders that have appeared in this repo or its examples
+const WEAK_PASSWORDS = [
+  "password",
+  "password123",
+  "admin",
+  "admin123",
+  "changeme",
+  "1234567890",
+  "your_secure_admin_password",
+  "test_password_123",
+]
+
+// SHA-256 of credentials that leaked through this repo's history (compromised,
+// so refused as well; only the hash is kept)
+const LEAKED_PASSWORD_HASHES = [
+  "22f7d5c07e2d7b8cf28f419dd6ab9e2073dc90e8d0529533b9c87c3ea7017d75",
+]
+
 migrate((app) => {
-  // Create initial superuser from environment configuration
+  const production = ($os.getenv("ENVIRONMENT") || "").toLowerCase() === "production"
+  const email = ($os.getenv("PB_SUPERUSER_EMAIL") || "").trim()
+  let password = $os.getenv("PB_SUPERUSER_PASSWORD") || ""
+
+  const refuse = (message) => {
+    if (production) {
+      throw new Error(`Initial superuser: ${message}`)
+    }
+    console.log(`Initial superuser: ${message} - skipping superuser creation`)
+  }
+
+  if (!email) {
+    return refuse("PB_SUPERUSER_EMAIL is not set")
+  }
+
+  try {
+    app.findAuthRecordByEmail("_superusers", email)
+    console.log(`Initial superuser: ${email} already exists`)
+    return
+  } catch (e) {
+    // Not found - create it below
+  }
+
+  let generated = false
+  if (!password) {
+    if (production) {
+      return refuse("PB_SUPERUSER_PASSWORD is not set")
+    }
+    password = $security.randomString(24)
+    generated = true
+  }
+
+  const weak = WEAK_PASSWORDS.some((value) => value.toLowerCase() === password.toLowerCase()) ||
+    LEAKED_PASSWORD_HASHES.includes($security.sha256(password))
+  if (weak || password.length < MIN_PASSWORD_LENGTH) {
+    return refuse(`PB_SUPERUSER_PASSWORD is a known-weak value or shorter than ${MIN_PASSWORD_LENGTH} characters`)
+  }
+
   const superusers = app.findCollectionByNameOrId("_superusers")
   const record = new Record(superusers)
-  
-  // Set credentials from .env file
-  record.set("email", "dcblackhouse@gmail.com")
-  record.set("password", "5eMeW0KD051JqtpUxtgKYKiVmo6")
-  
+  record.set("email", email)
+  record.set("password", password)
   app.save(record)
+
+  if (generated) {
+    // Printed once; it is not stored anywhere else
+    console.log(`Initial superuser created: ${email} / ${password}`)
+  } else {
+    console.log(`Initial superuser created: ${email}`)
+  }
 }, (app) => {
-  // Down migration - remove the initial superuser
+  const email = ($os.getenv("PB_SUPERUSER_EMAIL") || "").trim()
+  if (!email) {
+    return
+  }
+
+  let record
   try {
-    const record = app.findAuthRecordByEmail("_superusers", "dcblackhouse@gmail.com")
-    app.delete(record)
+    record = app.findAuthRecordByEmail("_superusers", email)
   } catch (e) {
-    // Silent errors (probably already deleted)
+    return // Never created or already deleted
   }
-})
\ No newline at end of file
+
+  const migration = new DynamicModel({ applied: 0 })
+  try {
+    app.db().newQuery("SELECT applied FROM _migrations WHERE file = {:file}")
+      .bind({ file: "1732713598_initial_superuser.js" })
+      .one(migration)
+  } catch (e) {
+    return
+  }
+
+  // `applied` is in microseconds
+  const appliedAt = Math.floor(migration.applied / 1000000)
+  const createdAt = record.getDateTime("created").unix()
+  if (createdAt > appliedAt || appliedAt - createdAt > CREATED_WINDOW_SECONDS) {
+    console.log(`Initial superuser: ${email} was not created by this migration - keeping it`)
+    return
+  }
+
+  app.delete(record)
+})
@@ -1,26 +1,9 @@
 /// <reference path="../pb_data/types.d.ts" />
 
+// No-op migration - seeding ran unconditionally in every environment, production included.
+// The test user is now seeded by pb_hooks/lib/seed.js when PB_SEED_PROFILE=dev
 migrate((app) => {
-  // Create test user from environment configuration
-  const users = app.findCollectionByNameOrId("_pb_users_auth_")
-  const record = new Record(users)
-  
-  // Get credentials from environment variables with fallback values
-  const testEmail = $os.getenv('PB_TEST_EMAIL') || 'test@example.com'
-  const testPassword = $os.getenv('PB_TEST_PASSWORD') || 'test_password_123'
-  
-  // Set user credentials
-  record.set("email", testEmail)
-  record.set("password", testPassword)
-  
-  app.save(record)
+  // No changes needed - see pb_hooks/seed.pb.js
 }, (app) => {
-  // Down migration - remove the test user
-  try {
-    const testEmail = $os.getenv('PB_TEST_EMAIL') || 'test@example.com'
-    const record = app.findAuthRecordByEmail("_pb_users_auth_", testEmail)
-    app.delete(record)
-  } catch (e) {
-    // Silent errors (probably already deleted)
-  }
+  // No rollback needed - seeded rows are removed by 1763100500_create_seed_registry.js
 })
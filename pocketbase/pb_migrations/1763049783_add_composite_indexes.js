@@ -1,26 +1,10 @@
 /// <reference path="../pb_data/types.d.ts" />
-migrate(
-  (app) => {
-    // add up queries...
-    const workoutHistory = app.findCollectionByNameOrId("workout_history");
 
-    // User + completion date for history views
-    workoutHistory.addIndex({
-      name: "idx_history_user_completed",
-      fields: ["user", "completed_at"],
-      unique: false,
-    });
-
-    const workoutSessions = app.findCollectionByNameOrId("workout_sessions");
-
-    // User + status for active session queries
-    workoutSessions.addIndex({
-      name: "idx_sessions_user_status",
-      fields: ["user", "is_completed"],
-      unique: false,
-    });
-  },
-  (app) => {
-    // add down queries...
-  }
-);
+// No-op migration - the original body indexed a nonexistent `user` field and never
+// saved the collections, so nothing was applied.
+// Superseded by 1763100100_schema_baseline.js
+migrate((app) => {
+  // No changes needed - indexes are created by the schema baseline migration
+}, (app) => {
+  // No rollback needed
+})
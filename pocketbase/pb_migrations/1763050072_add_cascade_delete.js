@@ -1,21 +1,10 @@
 /// <reference path="../pb_data/types.d.ts" />
-migrate(
-  (app) => {
-    // Add validation rule to prevent workouts without exercises
-    const workouts = app.findCollectionByNameOrId("workouts");
 
-    workouts.createRule = `
-    @request.auth.id != "" && 
-    @request.data.exercises != null &&
-    @request.data.exercises != "[]"
-  `;
-
-    // Note: Cascade delete not needed for workout_exercises collection
-    // as exercises are stored as JSON within the workout record itself
-  },
-  (app) => {
-    // Rollback: Remove validation rule
-    const workouts = app.findCollectionByNameOrId("workouts");
-    workouts.createRule = `@request.auth.id != ""`;
-  }
-);
+// No-op migration - the original createRule referenced `@request.data`, which is not
+// valid rule syntax, and the collection was never saved, so nothing was applied.
+// Non-empty exercise lists are now enforced by pb_hooks/workout_validation.pb.js
+migrate((app) => {
+  // No changes needed - validation runs in the onRecordCreateRequest hook
+}, (app) => {
+  // No rollback needed
+})
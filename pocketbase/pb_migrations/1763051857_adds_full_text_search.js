@@ -1,19 +1,10 @@
 /// <reference path="../pb_data/types.d.ts" />
-migrate(
-  (app) => {
-    // add up queries...
-    // Add full-text search indexes for exercises
-    migrate((app) => {
-      const exercises = app.findCollectionByNameOrId("exercises");
 
-      exercises.addIndex({
-        name: "idx_exercises_fulltext",
-        fields: ["name", "description"],
-        type: "fulltext",
-      });
-    });
-  },
-  (app) => {
-    // add down queries...
-  }
-);
+// No-op migration - the original body nested a migrate() call inside migrate(), so it
+// never ran, and PocketBase has no "fulltext" index type.
+// Superseded by 1763100100_schema_baseline.js
+migrate((app) => {
+  // No changes needed - exercise indexes are created by the schema baseline migration
+}, (app) => {
+  // No rollback needed
+})
@@ -0,0 +1,246 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Migration: Convert text user_id columns to relations to the users collection
+ *
+ * workouts, workout_plans, workout_sessions and workout_history stored user_id
+ * as a plain text field, so deleting a user orphaned their training data and
+ * rules such as `plan_id.user_id = @request.auth.id` could not be expanded.
+ *
+ * Migration Strategy:
+ * - Rename the text field to user_id_text (keeps the existing column data)
+ * - Add a user_id relation to _pb_users_auth_ with cascadeDelete
+ * - Copy every value that still resolves to a user
+ * - Quarantine rows whose user no longer exists into user_id_quarantine
+ *   (the row itself is kept, with an empty user_id, so only superusers see it)
+ * - Drop the text field
+ *
+ * The collection rules reference `user_id`, and PocketBase validates rules
+ * whenever a collection is saved, so they are cleared while the field is
+ * swapped and restored afterwards.
+ *
+ * Rollback restores the text columns from the relation values and the
+ * quarantined ids.
+ */
+
+// Field ids per collection: the original text field and the new relation
+const USER_OWNED_COLLECTIONS = {
+  workouts: { text: "text1579384330", relation: "relation1763100010" },
+  workout_plans: { text: "text1579384331", relation: "relation1763100011" },
+  workout_sessions: { text: "text1579384327", relation: "relation1763100012" },
+  workout_history: { text: "text1579384326", relation: "relation1763100013" },
+};
+
+const RULES = ["listRule", "viewRule", "createRule", "updateRule", "deleteRule"];
+
+/**
+ * Clears the collection's rules (not saved yet) and returns them.
+ */
+function takeRules(collection) {
+  const rules = {};
+  for (const rule of RULES) {
+    rules[rule] = collection[rule];
+    collection[rule] = null;
+  }
+  return rules;
+}
+
+function restoreRules(collection, rules) {
+  for (const rule of RULES) {
+    collection[rule] = rules[rule];
+  }
+}
+
+migrate(
+  (app) => {
+    const usersTable = app.findCollectionByNameOrId("_pb_users_auth_").name;
+
+    const quarantine = new Collection({
+      id: "",
+      name: "user_id_quarantine",
+      type: "base",
+      system: false,
+
+      fields: [
+        {
+          autogeneratePattern: "[a-z0-9]{15}",
+          hidden: false,
+          id: "text3208210256",
+          max: 15,
+          min: 15,
+          name: "id",
+          pattern: "^[a-z0-9]+$",
+          presentable: false,
+          primaryKey: true,
+          required: true,
+          system: true,
+          type: "text"
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763100001",
+          max: 255,
+          min: 1,
+          name: "collection_name",
+          pattern: "",
+          presentable: true,
+          primaryKey: false,
+          required: true,
+          system: false,
+          type: "text"
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763100002",
+          max: 255,
+          min: 1,
+          name: "record_id",
+          pattern: "",
+          presentable: false,
+          primaryKey: false,
+          required: true,
+          system: false,
+          type: "text"
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763100003",
+          max: 255,
+          min: 0,
+          name: "legacy_user_id",
+          pattern: "",
+          presentable: false,
+          primaryKey: false,
+          required: false,
+          system: false,
+          type: "text"
+        },
+        {
+          hidden: false,
+          id: "autodate2990389176",
+          name: "created",
+          onCreate: true,
+          onUpdate: false,
+          presentable: false,
+          system: false,
+          type: "autodate"
+        }
+      ],
+
+      indexes: [
+        "CREATE UNIQUE INDEX `idx_quarantine_record` ON `user_id_quarantine` (`collection_name`, `record_id`)",
+      ],
+
+      // Superuser-only: these rows reference users that no longer exist
+      listRule: null,
+      viewRule: null,
+      createRule: null,
+      updateRule: null,
+      deleteRule: null,
+    });
+    app.save(quarantine);
+
+    for (const [name, ids] of Object.entries(USER_OWNED_COLLECTIONS)) {
+      const collection = app.findCollectionByNameOrId(name);
+      const rules = takeRules(collection);
+
+      // Keep the old column around under a new name while the data is copied
+      collection.fields.getByName("user_id").name = "user_id_text";
+      app.save(collection);
+
+      collection.fields.add(new RelationField({
+        cascadeDelete: true,
+        collectionId: "_pb_users_auth_",
+        hidden: false,
+        id: ids.relation,
+        maxSelect: 1,
+        minSelect: 0,
+        name: "user_id",
+        presentable: false,
+        required: false,
+        system: false,
+      }));
+      app.save(collection);
+
+      app.db().newQuery(
+        `UPDATE \`${name}\` SET \`user_id\` = \`user_id_text\`
+         WHERE \`user_id_text\` IN (SELECT \`id\` FROM \`${usersTable}\`)`
+      ).execute();
+
+      const orphans = arrayOf(new DynamicModel({ id: "", user_id_text: "" }));
+      app.db().newQuery(
+        `SELECT \`id\`, \`user_id_text\` FROM \`${name}\`
+         WHERE \`user_id_text\` != '' AND \`user_id_text\` NOT IN (SELECT \`id\` FROM \`${usersTable}\`)`
+      ).all(orphans);
+
+      for (const orphan of orphans) {
+        const record = new Record(quarantine);
+        record.set("collection_name", name);
+        record.set("record_id", orphan.id);
+        record.set("legacy_user_id", orphan.user_id_text);
+        app.save(record);
+      }
+
+      if (orphans.length > 0) {
+        console.log(
+          `${name}: quarantined ${orphans.length} records with unknown user_id: ` +
+          orphans.map((orphan) => `${orphan.id} (${orphan.user_id_text})`).join(", ")
+        );
+      }
+
+      collection.fields.removeByName("user_id_text");
+      restoreRules(collection, rules);
+      app.save(collection);
+    }
+
+    return null;
+  },
+  (app) => {
+    for (const [name, ids] of Object.entries(USER_OWNED_COLLECTIONS)) {
+      const collection = app.findCollectionByNameOrId(name);
+      const rules = takeRules(collection);
+
+      collection.fields.getByName("user_id").name = "user_id_relation";
+      app.save(collection);
+
+      collection.fields.add(new TextField({
+        autogeneratePattern: "",
+        hidden: false,
+        id: ids.text,
+        max: 255,
+        min: 0,
+        name: "user_id",
+        pattern: "",
+        presentable: false,
+        primaryKey: false,
+        required: false,
+        system: false,
+      }));
+      app.save(collection);
+
+      app.db().newQuery(
+        `UPDATE \`${name}\` SET \`user_id\` = \`user_id_relation\` WHERE \`user_id_relation\` != ''`
+      ).execute();
+
+      app.db().newQuery(
+        `UPDATE \`${name}\` SET \`user_id\` = (
+           SELECT \`legacy_user_id\` FROM \`user_id_quarantine\`
+           WHERE \`collection_name\` = {:name} AND \`record_id\` = \`${name}\`.\`id\`
+         )
+         WHERE \`user_id\` = '' AND \`id\` IN (
+           SELECT \`record_id\` FROM \`user_id_quarantine\` WHERE \`collection_name\` = {:name}
+         )`
+      ).bind({ name: name }).execute();
+
+      collection.fields.removeByName("user_id_relation");
+      restoreRules(collection, rules);
+      app.save(collection);
+    }
+
+    const quarantine = app.findCollectionByNameOrId("user_id_quarantine");
+    return app.delete(quarantine);
+  }
+);
@@ -0,0 +1,105 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Schema Baseline: indexes and access rules
+ *
+ * Replaces the broken index/rule migrations (1763049465, 1763049783,
+ * 1763051857, 1763051924), which targeted a nonexistent `user` field, never
+ * called app.save() or nested migrate() calls that never ran.
+ *
+ * Indexes:
+ * - user_id and created on every user-owned collection (list + sort)
+ * - (user_id, completed_at) on workout_history for history views
+ * - (user_id, is_completed) on workout_sessions for active session lookups
+ * - category and name on exercises for the exercise picker
+ *
+ * Rules:
+ * - Owner-only access on user_id for all user-owned collections
+ * - Creates and updates can't assign a record to another user
+ *
+ * The expected index list is mirrored in pb_hooks/lib/schema_baseline.js,
+ * which logs any missing index on startup.
+ */
+
+const BASELINE_INDEXES = {
+  workouts: [
+    ["idx_workouts_user", "`user_id`"],
+    ["idx_workouts_created", "`created`"],
+  ],
+  workout_plans: [
+    ["idx_workout_plans_user", "`user_id`"],
+    ["idx_workout_plans_created", "`created`"],
+  ],
+  workout_sessions: [
+    ["idx_workout_sessions_user", "`user_id`"],
+    ["idx_workout_sessions_created", "`created`"],
+    ["idx_sessions_user_status", "`user_id`, `is_completed`"],
+  ],
+  workout_history: [
+    ["idx_workout_history_user", "`user_id`"],
+    ["idx_workout_history_created", "`created`"],
+    ["idx_history_user_completed", "`user_id`, `completed_at`"],
+  ],
+  exercises: [
+    ["idx_exercises_category", "`category`"],
+    ["idx_exercises_name", "`name`"],
+  ],
+};
+
+const OWNER_RULE = "@request.auth.id != \"\" && user_id = @request.auth.id";
+
+const BASELINE_RULES = {
+  listRule: OWNER_RULE,
+  viewRule: OWNER_RULE,
+  createRule: "@request.auth.id != \"\" && @request.body.user_id = @request.auth.id",
+  updateRule: OWNER_RULE + " && (@request.body.user_id:isset = false || @request.body.user_id = @request.auth.id)",
+  deleteRule: OWNER_RULE,
+};
+
+// Rules from the original create_* migrations, restored on rollback
+const ORIGINAL_RULES = {
+  listRule: "user_id = @request.auth.id",
+  viewRule: "user_id = @request.auth.id",
+  createRule: "@request.auth.id != \"\"",
+  updateRule: "user_id = @request.auth.id",
+  deleteRule: "user_id = @request.auth.id",
+};
+
+const USER_OWNED_COLLECTIONS = ["workouts", "workout_plans", "workout_sessions", "workout_history"];
+
+migrate(
+  (app) => {
+    for (const [name, indexes] of Object.entries(BASELINE_INDEXES)) {
+      const collection = app.findCollectionByNameOrId(name);
+
+      for (const [indexName, columns] of indexes) {
+        collection.addIndex(indexName, false, columns, "");
+      }
+
+      if (USER_OWNED_COLLECTIONS.includes(name)) {
+        Object.assign(collection, BASELINE_RULES);
+      }
+
+      app.save(collection);
+    }
+
+    return null;
+  },
+  (app) => {
+    for (const [name, indexes] of Object.entries(BASELINE_INDEXES)) {
+      const collection = app.findCollectionByNameOrId(name);
+
+      for (const [indexName] of indexes) {
+        collection.removeIndex(indexName);
+      }
+
+      if (USER_OWNED_COLLECTIONS.includes(name)) {
+        Object.assign(collection, ORIGINAL_RULES);
+      }
+
+      app.save(collection);
+    }
+
+    return null;
+  }
+);
@@ -0,0 +1,48 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Exercise Full-Text Search (SQLite FTS5)
+ *
+ * PocketBase has no "fulltext" index type, so the exercise picker search is
+ * backed by an FTS5 virtual table instead. The table is kept in sync by the
+ * exercises record hooks in pb_hooks/exercise_search.pb.js and queried by
+ * GET /api/periolifts/exercises/search.
+ *
+ * muscle_groups is stored as a space separated list of the JSON array values.
+ */
+
+migrate(
+  (app) => {
+    app.db().newQuery(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS \`exercises_fts\` USING fts5(
+        exercise_id UNINDEXED,
+        name,
+        description,
+        category,
+        muscle_groups,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      )
+    `).execute();
+
+    // Backfill from the existing exercise library
+    app.db().newQuery(`
+      INSERT INTO \`exercises_fts\` (exercise_id, name, description, category, muscle_groups)
+      SELECT
+        e.id,
+        e.name,
+        e.description,
+        e.category,
+        COALESCE((SELECT group_concat(value, ' ') FROM json_each(
+          CASE WHEN json_valid(e.muscle_groups) THEN e.muscle_groups ELSE '[]' END
+        )), '')
+      FROM \`exercises\` e
+    `).execute();
+
+    return null;
+  },
+  (app) => {
+    app.db().newQuery("DROP TABLE IF EXISTS `exercises_fts`").execute();
+    return null;
+  }
+);
@@ -0,0 +1,189 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Personal Records
+ *
+ * Creates the personal_records collection (one row per user and exercise)
+ * and adds a personal_records JSON field to workout_sessions, which the
+ * session completion hook fills with the PRs hit in that session so the
+ * summary screen can show them.
+ *
+ * Tracked records:
+ * - heaviest weight (and the reps it was lifted for)
+ * - best estimated 1RM (Epley)
+ * - best single-session volume (weight x reps)
+ * - most reps at a given weight (rep_records: { "<weight>": { reps, session, achieved_at } })
+ *
+ * Records are written only by the server hook, so create/update/delete are
+ * superuser-only.
+ */
+
+migrate(
+  (app) => {
+    const exercises = app.findCollectionByNameOrId("exercises");
+    const sessions = app.findCollectionByNameOrId("workout_sessions");
+
+    const sessionRelation = (id, name) => ({
+      cascadeDelete: false,
+      collectionId: sessions.id,
+      hidden: false,
+      id: id,
+      maxSelect: 1,
+      minSelect: 0,
+      name: name,
+      presentable: false,
+      required: false,
+      system: false,
+      type: "relation"
+    });
+
+    const numberField = (id, name) => ({
+      hidden: false,
+      id: id,
+      max: null,
+      min: 0,
+      name: name,
+      noDecimal: false,
+      presentable: false,
+      required: false,
+      system: false,
+      type: "number"
+    });
+
+    const dateField = (id, name) => ({
+      hidden: false,
+      id: id,
+      max: "",
+      min: "",
+      name: name,
+      presentable: false,
+      required: false,
+      system: false,
+      type: "date"
+    });
+
+    const collection = new Collection({
+      id: "",
+      name: "personal_records",
+      type: "base",
+      system: false,
+
+      fields: [
+        {
+          autogeneratePattern: "[a-z0-9]{15}",
+          hidden: false,
+          id: "text3208210256",
+          max: 15,
+          min: 15,
+          name: "id",
+          pattern: "^[a-z0-9]+$",
+          presentable: false,
+          primaryKey: true,
+          required: true,
+          system: true,
+          type: "text"
+        },
+        {
+          cascadeDelete: true,
+          collectionId: "_pb_users_auth_",
+          hidden: false,
+          id: "relation1763100301",
+          maxSelect: 1,
+          minSelect: 0,
+          name: "user_id",
+          presentable: false,
+          required: true,
+          system: false,
+          type: "relation"
+        },
+        {
+          cascadeDelete: true,
+          collectionId: exercises.id,
+          displayFields: ["name"],
+          hidden: false,
+          id: "relation1763100302",
+          maxSelect: 1,
+          minSelect: 0,
+          name: "exercise_id",
+          presentable: true,
+          required: true,
+          system: false,
+          type: "relation"
+        },
+        numberField("number1763100303", "heaviest_weight"),
+        numberField("number1763100304", "heaviest_weight_reps"),
+        sessionRelation("relation1763100305", "heaviest_weight_session"),
+        dateField("date1763100306", "heaviest_weight_at"),
+        numberField("number1763100307", "best_e1rm"),
+        sessionRelation("relation1763100308", "best_e1rm_session"),
+        dateField("date1763100309", "best_e1rm_at"),
+        numberField("number1763100310", "best_volume"),
+        sessionRelation("relation1763100311", "best_volume_session"),
+        dateField("date1763100312", "best_volume_at"),
+        {
+          hidden: false,
+          id: "json1763100313",
+          maxSize: 2000000,
+          name: "rep_records",
+          presentable: false,
+          required: false,
+          system: false,
+          type: "json"
+        },
+        {
+          hidden: false,
+          id: "autodate2990389176",
+          name: "created",
+          onCreate: true,
+          onUpdate: false,
+          presentable: false,
+          system: false,
+          type: "autodate"
+        },
+        {
+          hidden: false,
+          id: "autodate3332085495",
+          name: "updated",
+          onCreate: true,
+          onUpdate: true,
+          presentable: false,
+          system: false,
+          type: "autodate"
+        }
+      ],
+
+      indexes: [
+        // One record row per user and exercise
+        "CREATE UNIQUE INDEX `idx_pr_user_exercise` ON `personal_records` (`user_id`, `exercise_id`)",
+      ],
+
+      listRule: "@request.auth.id != '' && user_id = @request.auth.id",
+      viewRule: "@request.auth.id != '' && user_id = @request.auth.id",
+      createRule: null,
+      updateRule: null,
+      deleteRule: null,
+    });
+    app.save(collection);
+
+    sessions.fields.add(new JSONField({
+      hidden: false,
+      id: "json1763100314",
+      maxSize: 2000000,
+      name: "personal_records",
+      presentable: false,
+      required: false,
+      system: false,
+    }));
+    app.save(sessions);
+
+    return null;
+  },
+  (app) => {
+    const sessions = app.findCollectionByNameOrId("workout_sessions");
+    sessions.fields.removeByName("personal_records");
+    app.save(sessions);
+
+    const collection = app.findCollectionByNameOrId("personal_records");
+    return app.delete(collection);
+  }
+);
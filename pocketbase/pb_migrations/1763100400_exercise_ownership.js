@@ -0,0 +1,84 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Exercise Ownership
+ *
+ * exercises had an is_custom flag but no owner, and all five rules were "",
+ * so anyone (even anonymous clients) could edit or delete the shared library.
+ *
+ * Changes:
+ * - Add an `owner` relation to users (custom exercises are removed with their owner)
+ * - Global exercises (is_custom = false) are readable by everyone and read-only
+ * - Custom exercises are visible and editable only by their owner
+ * - Lock down the exercises seeded by 1732713610_seed_test_data.js as global
+ *
+ * On create, pb_hooks/exercise_ownership.pb.js sets `owner` to the caller and
+ * marks the exercise custom. Superusers can promote a custom exercise into the
+ * shared library via POST /api/periolifts/exercises/{id}/promote.
+ */
+
+const SEEDED_EXERCISES = ["Push-ups", "Squats", "Plank", "Lunges", "Jumping Jacks"];
+
+const OWNER_ONLY = "@request.auth.id != '' && is_custom = true && owner = @request.auth.id";
+
+migrate(
+  (app) => {
+    const collection = app.findCollectionByNameOrId("exercises");
+
+    collection.fields.add(new RelationField({
+      cascadeDelete: true,
+      collectionId: "_pb_users_auth_",
+      hidden: false,
+      id: "relation1763100401",
+      maxSelect: 1,
+      minSelect: 0,
+      name: "owner",
+      presentable: false,
+      required: false,
+      system: false,
+    }));
+
+    collection.addIndex("idx_exercises_owner", false, "`owner`", "");
+
+    collection.listRule = "is_custom = false || (" + OWNER_ONLY + ")";
+    collection.viewRule = "is_custom = false || (" + OWNER_ONLY + ")";
+    collection.createRule = "@request.auth.collectionName = 'users'";
+    collection.updateRule = OWNER_ONLY +
+      " && (@request.body.owner:isset = false || @request.body.owner = @request.auth.id)" +
+      " && (@request.body.is_custom:isset = false || @request.body.is_custom = true)";
+    collection.deleteRule = OWNER_ONLY;
+
+    app.save(collection);
+
+    // The seeded library is global and has no owner
+    for (const name of SEEDED_EXERCISES) {
+      app.db().newQuery(
+        "UPDATE `exercises` SET `is_custom` = FALSE, `owner` = '' WHERE `name` = {:name}"
+      ).bind({ name: name }).execute();
+    }
+
+    const orphaned = new DynamicModel({ total: 0 });
+    app.db().newQuery(
+      "SELECT COUNT(*) AS total FROM `exercises` WHERE `is_custom` = TRUE AND `owner` = ''"
+    ).one(orphaned);
+    if (orphaned.total > 0) {
+      console.log(`${orphaned.total} custom exercises have no owner and are only visible to superusers`);
+    }
+
+    return null;
+  },
+  (app) => {
+    const collection = app.findCollectionByNameOrId("exercises");
+
+    collection.removeIndex("idx_exercises_owner");
+    collection.fields.removeByName("owner");
+
+    collection.listRule = "";
+    collection.viewRule = "";
+    collection.createRule = "";
+    collection.updateRule = "";
+    collection.deleteRule = "";
+
+    return app.save(collection);
+  }
+);
@@ -0,0 +1,140 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Seed Registry
+ *
+ * Creates the seed_registry collection used by the seeding framework in
+ * pb_hooks/lib/seed.js. Every record the seeder creates is registered here
+ * with the profile and natural key it was seeded under.
+ *
+ * Rollback removes every registered record (newest first) before dropping
+ * the registry, so a rolled back seed leaves no rows behind.
+ *
+ * The ad-hoc seed migrations (1732713610, 1732713611, 1732713612, 1762809516)
+ * are no-ops now; seeding is driven by PB_SEED_PROFILE instead.
+ */
+
+migrate(
+  (app) => {
+    const collection = new Collection({
+      id: "",
+      name: "seed_registry",
+      type: "base",
+      system: false,
+
+      fields: [
+        {
+          autogeneratePattern: "[a-z0-9]{15}",
+          hidden: false,
+          id: "text3208210256",
+          max: 15,
+          min: 15,
+          name: "id",
+          pattern: "^[a-z0-9]+$",
+          presentable: false,
+          primaryKey: true,
+          required: true,
+          system: true,
+          type: "text"
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763100501",
+          max: 50,
+          min: 1,
+          name: "profile",
+          pattern: "",
+          presentable: false,
+          primaryKey: false,
+          required: true,
+          system: false,
+          type: "text"
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763100502",
+          max: 255,
+          min: 1,
+          name: "collection_name",
+          pattern: "",
+          presentable: true,
+          primaryKey: false,
+          required: true,
+          system: false,
+          type: "text"
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763100503",
+          max: 255,
+          min: 1,
+          name: "record_id",
+          pattern: "",
+          presentable: false,
+          primaryKey: false,
+          required: true,
+          system: false,
+          type: "text"
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763100504",
+          max: 1000,
+          min: 0,
+          name: "natural_key",
+          pattern: "",
+          presentable: false,
+          primaryKey: false,
+          required: false,
+          system: false,
+          type: "text"
+        },
+        {
+          hidden: false,
+          id: "autodate2990389176",
+          name: "created",
+          onCreate: true,
+          onUpdate: false,
+          presentable: false,
+          system: false,
+          type: "autodate"
+        }
+      ],
+
+      indexes: [
+        "CREATE UNIQUE INDEX `idx_seed_record` ON `seed_registry` (`collection_name`, `record_id`)",
+      ],
+
+      // Superuser-only bookkeeping
+      listRule: null,
+      viewRule: null,
+      createRule: null,
+      updateRule: null,
+      deleteRule: null,
+    });
+
+    return app.save(collection);
+  },
+  (app) => {
+    const entries = app.findRecordsByFilter("seed_registry", "", "-created,-id", 0, 0);
+
+    let removed = 0;
+    for (const entry of entries) {
+      try {
+        const record = app.findRecordById(entry.getString("collection_name"), entry.getString("record_id"));
+        app.delete(record);
+        removed++;
+      } catch (e) {
+        // Already deleted (directly or through a cascade)
+      }
+    }
+    console.log(`Seed rollback: removed ${removed} seeded records`);
+
+    const collection = app.findCollectionByNameOrId("seed_registry");
+    return app.delete(collection);
+  }
+);
@@ -0,0 +1,223 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Recurring Schedule Rules
+ *
+ * workout_plan_schedules stores one row per concrete date. schedule_rules
+ * holds the pattern those rows are generated from, e.g.
+ * "Mon/Wed/Fri, workout A/B alternating, for 12 weeks", plus exceptions.
+ *
+ * - schedule_rules: days_of_week, ordered workout_rotation, start_date,
+ *   end_date or duration_weeks, exceptions JSON, paused flag
+ * - workout_plan_schedules.rule_id: the rule a row was generated from
+ *   (empty for manually scheduled rows)
+ *
+ * Rules are only accessible through a plan the caller owns, and an update
+ * cannot move a rule onto someone else's plan.
+ *
+ * Rows are materialized over a rolling window by pb_hooks/schedule_rules.pb.js.
+ */
+
+migrate(
+  (app) => {
+    const plans = app.findCollectionByNameOrId("workout_plans");
+    const workouts = app.findCollectionByNameOrId("workouts");
+
+    const collection = new Collection({
+      id: "",
+      name: "schedule_rules",
+      type: "base",
+      system: false,
+
+      fields: [
+        {
+          autogeneratePattern: "[a-z0-9]{15}",
+          hidden: false,
+          id: "text3208210256",
+          max: 15,
+          min: 15,
+          name: "id",
+          pattern: "^[a-z0-9]+$",
+          presentable: false,
+          primaryKey: true,
+          required: true,
+          system: true,
+          type: "text"
+        },
+        {
+          cascadeDelete: true,
+          collectionId: plans.id,
+          displayFields: ["name"],
+          hidden: false,
+          id: "relation1763100601",
+          maxSelect: 1,
+          minSelect: 0,
+          name: "plan_id",
+          presentable: false,
+          required: true,
+          system: false,
+          type: "relation"
+        },
+        {
+          hidden: false,
+          id: "select1763100602",
+          maxSelect: 7,
+          name: "days_of_week",
+          presentable: false,
+          required: true,
+          system: false,
+          type: "select",
+          values: [
+            "monday",
+            "tuesday",
+            "wednesday",
+            "thursday",
+            "friday",
+            "saturday",
+            "sunday"
+          ]
+        },
+        {
+          cascadeDelete: false,
+          collectionId: workouts.id,
+          displayFields: ["name"],
+          hidden: false,
+          id: "relation1763100603",
+          maxSelect: 31,
+          minSelect: 1,
+          name: "workout_rotation",
+          presentable: false,
+          required: true,
+          system: false,
+          type: "relation"
+        },
+        {
+          hidden: false,
+          id: "date1763100604",
+          max: "",
+          min: "",
+          name: "start_date",
+          presentable: true,
+          required: true,
+          system: false,
+          type: "date"
+        },
+        {
+          hidden: false,
+          id: "date1763100605",
+          max: "",
+          min: "",
+          name: "end_date",
+          presentable: false,
+          required: false,
+          system: false,
+          type: "date"
+        },
+        {
+          hidden: false,
+          id: "number1763100606",
+          max: 520,
+          min: 1,
+          name: "duration_weeks",
+          noDecimal: true,
+          presentable: false,
+          required: false,
+          system: false,
+          type: "number"
+        },
+        {
+          hidden: false,
+          id: "json1763100607",
+          maxSize: 2000000,
+          name: "exceptions",
+          presentable: false,
+          required: false,
+          system: false,
+          type: "json"
+        },
+        {
+          hidden: false,
+          id: "bool1763100608",
+          name: "paused",
+          presentable: false,
+          required: false,
+          system: false,
+          type: "bool"
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763100609",
+          max: 1000,
+          min: 0,
+          name: "notes",
+          pattern: "",
+          presentable: false,
+          primaryKey: false,
+          required: false,
+          system: false,
+          type: "text"
+        },
+        {
+          hidden: false,
+          id: "autodate2990389176",
+          name: "created",
+          onCreate: true,
+          onUpdate: false,
+          presentable: false,
+          system: false,
+          type: "autodate"
+        },
+        {
+          hidden: false,
+          id: "autodate3332085495",
+          name: "updated",
+          onCreate: true,
+          onUpdate: true,
+          presentable: false,
+          system: false,
+          type: "autodate"
+        }
+      ],
+
+      indexes: [
+        "CREATE INDEX `idx_rules_plan` ON `schedule_rules` (`plan_id`)",
+      ],
+
+      listRule: "@request.auth.id != '' && plan_id.user_id = @request.auth.id",
+      viewRule: "@request.auth.id != '' && plan_id.user_id = @request.auth.id",
+      createRule: "@request.auth.id != '' && plan_id.user_id = @request.auth.id",
+      updateRule: "@request.auth.id != '' && plan_id.user_id = @request.auth.id" +
+        " && (@request.body.plan_id:isset = false || @request.body.plan_id.user_id = @request.auth.id)",
+      deleteRule: "@request.auth.id != '' && plan_id.user_id = @request.auth.id",
+    });
+    app.save(collection);
+
+    const schedules = app.findCollectionByNameOrId("workout_plan_schedules");
+    schedules.fields.add(new RelationField({
+      cascadeDelete: false,
+      collectionId: collection.id,
+      hidden: false,
+      id: "relation1763100610",
+      maxSelect: 1,
+      minSelect: 0,
+      name: "rule_id",
+      presentable: false,
+      required: false,
+      system: false,
+    }));
+    // Regenerating a rule touches its future rows only
+    schedules.addIndex("idx_rule_date", false, "`rule_id`, `scheduled_date`", "");
+
+    return app.save(schedules);
+  },
+  (app) => {
+    const schedules = app.findCollectionByNameOrId("workout_plan_schedules");
+    schedules.removeIndex("idx_rule_date");
+    schedules.fields.removeByName("rule_id");
+    app.save(schedules);
+
+    const collection = app.findCollectionByNameOrId("schedule_rules");
+    return app.delete(collection);
+  }
+);
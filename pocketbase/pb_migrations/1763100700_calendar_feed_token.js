@@ -0,0 +1,42 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Calendar Feed Token
+ *
+ * Adds `user_preferences.calendar_token`, the per-user secret in the iCalendar
+ * feed URL (GET /api/periolifts/calendar/{token}.ics). The field is hidden so
+ * it never appears in record API responses; it is issued and revoked through
+ * POST/DELETE /api/periolifts/calendar/token (pb_hooks/calendar_feed.pb.js).
+ */
+
+migrate(
+  (app) => {
+    const collection = app.findCollectionByNameOrId("user_preferences");
+
+    collection.fields.add(new TextField({
+      autogeneratePattern: "",
+      hidden: true,
+      id: "text1763100701",
+      max: 64,
+      min: 0,
+      name: "calendar_token",
+      pattern: "",
+      presentable: false,
+      primaryKey: false,
+      required: false,
+      system: false,
+    }));
+
+    collection.addIndex("idx_user_preferences_calendar_token", true, "`calendar_token`", "`calendar_token` != ''");
+
+    return app.save(collection);
+  },
+  (app) => {
+    const collection = app.findCollectionByNameOrId("user_preferences");
+
+    collection.removeIndex("idx_user_preferences_calendar_token");
+    collection.fields.removeByName("calendar_token");
+
+    return app.save(collection);
+  }
+);
@@ -0,0 +1,222 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Missed Workout Rescheduling
+ *
+ * A daily cron (pb_hooks/missed_workouts.pb.js) finds schedule rows whose date
+ * passed without a completed session and applies the plan's policy.
+ *
+ * - workout_plans.missed_policy: skip (default when empty), next_free_day or
+ *   shift_remaining
+ * - workout_plan_schedules.missed_at: set when a missed row stays in place
+ * - schedule_moves: one row per schedule row moved by the cron, grouped by
+ *   batch_id, so the user can undo a whole run for a plan. Read-only through
+ *   the API.
+ */
+
+migrate(
+  (app) => {
+    const plans = app.findCollectionByNameOrId("workout_plans");
+    plans.fields.add(new SelectField({
+      hidden: false,
+      id: "select1763100801",
+      maxSelect: 1,
+      name: "missed_policy",
+      presentable: false,
+      required: false,
+      system: false,
+      values: ["skip", "next_free_day", "shift_remaining"],
+    }));
+    app.save(plans);
+
+    const schedules = app.findCollectionByNameOrId("workout_plan_schedules");
+    schedules.fields.add(new DateField({
+      hidden: false,
+      id: "date1763100802",
+      max: "",
+      min: "",
+      name: "missed_at",
+      presentable: false,
+      required: false,
+      system: false,
+    }));
+    app.save(schedules);
+
+    const collection = new Collection({
+      id: "",
+      name: "schedule_moves",
+      type: "base",
+      system: false,
+
+      fields: [
+        {
+          autogeneratePattern: "[a-z0-9]{15}",
+          hidden: false,
+          id: "text3208210256",
+          max: 15,
+          min: 15,
+          name: "id",
+          pattern: "^[a-z0-9]+$",
+          presentable: false,
+          primaryKey: true,
+          required: true,
+          system: true,
+          type: "text"
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763100803",
+          max: 32,
+          min: 1,
+          name: "batch_id",
+          pattern: "",
+          presentable: false,
+          primaryKey: false,
+          required: true,
+          system: false,
+          type: "text"
+        },
+        {
+          cascadeDelete: true,
+          collectionId: plans.id,
+          displayFields: ["name"],
+          hidden: false,
+          id: "relation1763100804",
+          maxSelect: 1,
+          minSelect: 0,
+          name: "plan_id",
+          presentable: false,
+          required: true,
+          system: false,
+          type: "relation"
+        },
+        {
+          cascadeDelete: true,
+          collectionId: schedules.id,
+          hidden: false,
+          id: "relation1763100805",
+          maxSelect: 1,
+          minSelect: 0,
+          name: "schedule_id",
+          presentable: false,
+          required: true,
+          system: false,
+          type: "relation"
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763100806",
+          max: 15,
+          min: 0,
+          name: "workout_id",
+          pattern: "",
+          presentable: false,
+          primaryKey: false,
+          required: false,
+          system: false,
+          type: "text"
+        },
+        {
+          hidden: false,
+          id: "select1763100807",
+          maxSelect: 1,
+          name: "policy",
+          presentable: false,
+          required: true,
+          system: false,
+          type: "select",
+          values: ["next_free_day", "shift_remaining"]
+        },
+        {
+          hidden: false,
+          id: "date1763100808",
+          max: "",
+          min: "",
+          name: "from_date",
+          presentable: true,
+          required: true,
+          system: false,
+          type: "date"
+        },
+        {
+          hidden: false,
+          id: "date1763100809",
+          max: "",
+          min: "",
+          name: "to_date",
+          presentable: false,
+          required: false,
+          system: false,
+          type: "date"
+        },
+        {
+          hidden: false,
+          id: "bool1763100810",
+          name: "was_missed",
+          presentable: false,
+          required: false,
+          system: false,
+          type: "bool"
+        },
+        {
+          hidden: false,
+          id: "date1763100811",
+          max: "",
+          min: "",
+          name: "undone_at",
+          presentable: false,
+          required: false,
+          system: false,
+          type: "date"
+        },
+        {
+          hidden: false,
+          id: "autodate2990389176",
+          name: "created",
+          onCreate: true,
+          onUpdate: false,
+          presentable: false,
+          system: false,
+          type: "autodate"
+        },
+        {
+          hidden: false,
+          id: "autodate3332085495",
+          name: "updated",
+          onCreate: true,
+          onUpdate: true,
+          presentable: false,
+          system: false,
+          type: "autodate"
+        }
+      ],
+
+      indexes: [
+        "CREATE INDEX `idx_moves_batch` ON `schedule_moves` (`batch_id`)",
+        "CREATE INDEX `idx_moves_plan_from` ON `schedule_moves` (`plan_id`, `from_date`)",
+      ],
+
+      listRule: "@request.auth.id != '' && plan_id.user_id = @request.auth.id",
+      viewRule: "@request.auth.id != '' && plan_id.user_id = @request.auth.id",
+      createRule: null,
+      updateRule: null,
+      deleteRule: null,
+    });
+
+    return app.save(collection);
+  },
+  (app) => {
+    const collection = app.findCollectionByNameOrId("schedule_moves");
+    app.delete(collection);
+
+    const schedules = app.findCollectionByNameOrId("workout_plan_schedules");
+    schedules.fields.removeByName("missed_at");
+    app.save(schedules);
+
+    const plans = app.findCollectionByNameOrId("workout_plans");
+    plans.fields.removeByName("missed_policy");
+    return app.save(plans);
+  }
+);
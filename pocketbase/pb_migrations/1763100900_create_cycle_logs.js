@@ -0,0 +1,145 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Cycle Logs
+ *
+ * One row per logged period: start_date, end_date (empty while ongoing),
+ * flow and symptoms. pb_hooks/cycle_tracking.pb.js derives
+ * user_preferences.average_cycle_length and current_cycle_phase from them.
+ */
+
+const OWNER_RULE = "@request.auth.id != \"\" && user_id = @request.auth.id";
+
+migrate(
+  (app) => {
+    const collection = new Collection({
+      id: "",
+      name: "cycle_logs",
+      type: "base",
+      system: false,
+
+      fields: [
+        {
+          autogeneratePattern: "[a-z0-9]{15}",
+          hidden: false,
+          id: "text3208210256",
+          max: 15,
+          min: 15,
+          name: "id",
+          pattern: "^[a-z0-9]+$",
+          presentable: false,
+          primaryKey: true,
+          required: true,
+          system: true,
+          type: "text"
+        },
+        {
+          cascadeDelete: true,
+          collectionId: "_pb_users_auth_",
+          hidden: false,
+          id: "relation1763100901",
+          maxSelect: 1,
+          minSelect: 0,
+          name: "user_id",
+          presentable: false,
+          required: true,
+          system: false,
+          type: "relation"
+        },
+        {
+          hidden: false,
+          id: "date1763100902",
+          max: "",
+          min: "",
+          name: "start_date",
+          presentable: true,
+          required: true,
+          system: false,
+          type: "date"
+        },
+        {
+          hidden: false,
+          id: "date1763100903",
+          max: "",
+          min: "",
+          name: "end_date",
+          presentable: false,
+          required: false,
+          system: false,
+          type: "date"
+        },
+        {
+          hidden: false,
+          id: "select1763100904",
+          maxSelect: 1,
+          name: "flow",
+          presentable: false,
+          required: false,
+          system: false,
+          type: "select",
+          values: ["spotting", "light", "medium", "heavy"]
+        },
+        {
+          hidden: false,
+          id: "json1763100905",
+          maxSize: 20000,
+          name: "symptoms",
+          presentable: false,
+          required: false,
+          system: false,
+          type: "json"
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763100906",
+          max: 1000,
+          min: 0,
+          name: "notes",
+          pattern: "",
+          presentable: false,
+          primaryKey: false,
+          required: false,
+          system: false,
+          type: "text"
+        },
+        {
+          hidden: false,
+          id: "autodate2990389176",
+          name: "created",
+          onCreate: true,
+          onUpdate: false,
+          presentable: false,
+          system: false,
+          type: "autodate"
+        },
+        {
+          hidden: false,
+          id: "autodate3332085495",
+          name: "updated",
+          onCreate: true,
+          onUpdate: true,
+          presentable: false,
+          system: false,
+          type: "autodate"
+        }
+      ],
+
+      indexes: [
+        "CREATE UNIQUE INDEX `idx_cycle_logs_user_start` ON `cycle_logs` (`user_id`, `start_date`)",
+      ],
+
+      listRule: OWNER_RULE,
+      viewRule: OWNER_RULE,
+      createRule: "@request.auth.id != \"\" && @request.body.user_id = @request.auth.id",
+      updateRule: OWNER_RULE + " && (@request.body.user_id:isset = false || @request.body.user_id = @request.auth.id)",
+      deleteRule: OWNER_RULE,
+    });
+
+    return app.save(collection);
+  },
+  (app) => {
+    const collection = app.findCollectionByNameOrId("cycle_logs");
+    return app.delete(collection);
+  }
+);
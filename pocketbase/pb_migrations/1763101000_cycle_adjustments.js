@@ -0,0 +1,36 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Cycle Adjustments
+ *
+ * Adds `user_preferences.cycle_adjustments`, per-user overrides of the
+ * per-phase training load multipliers used by
+ * GET /api/periolifts/workouts/{id}/adjusted (pb_hooks/training_load.pb.js):
+ *
+ *   { "late_luteal": { "volume": 0.8, "intensity": 0.9, "deload": false } }
+ *
+ * Phases without an override use the defaults in pb_hooks/lib/training_load.js.
+ */
+
+migrate(
+  (app) => {
+    const collection = app.findCollectionByNameOrId("user_preferences");
+
+    collection.fields.add(new JSONField({
+      hidden: false,
+      id: "json1763101001",
+      maxSize: 20000,
+      name: "cycle_adjustments",
+      presentable: false,
+      required: false,
+      system: false,
+    }));
+
+    return app.save(collection);
+  },
+  (app) => {
+    const collection = app.findCollectionByNameOrId("user_preferences");
+    collection.fields.removeByName("cycle_adjustments");
+    return app.save(collection);
+  }
+);
@@ -0,0 +1,48 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * History Cycle Snapshot
+ *
+ * Adds `cycle_phase` and `cycle_day` to workout_history. The session
+ * completion hook fills them from cycle_logs for the day the session was
+ * completed, so GET /api/periolifts/stats/cycle can group performance by
+ * phase. Rows completed before this migration (or before any period was
+ * logged) keep them empty.
+ */
+
+migrate(
+  (app) => {
+    const collection = app.findCollectionByNameOrId("workout_history");
+
+    collection.fields.add(new SelectField({
+      hidden: false,
+      id: "select1763101101",
+      maxSelect: 1,
+      name: "cycle_phase",
+      presentable: false,
+      required: false,
+      system: false,
+      values: ["menstrual", "follicular", "ovulation", "luteal"],
+    }));
+
+    collection.fields.add(new NumberField({
+      hidden: false,
+      id: "number1763101102",
+      max: null,
+      min: 0,
+      name: "cycle_day",
+      noDecimal: true,
+      presentable: false,
+      required: false,
+      system: false,
+    }));
+
+    return app.save(collection);
+  },
+  (app) => {
+    const collection = app.findCollectionByNameOrId("workout_history");
+    collection.fields.removeByName("cycle_phase");
+    collection.fields.removeByName("cycle_day");
+    return app.save(collection);
+  }
+);
@@ -0,0 +1,222 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Notifications Outbox
+ *
+ * Reminders are enqueued here by pb_hooks/reminders.pb.js and delivered by a
+ * separate cron through the configured sender (PB_NOTIFICATIONS_SENDER).
+ * `dedupe_key` is unique, so re-running the scheduler never enqueues the same
+ * reminder twice. Users can read their own entries; writes are server-only.
+ */
+
+migrate(
+  (app) => {
+    const collection = new Collection({
+      id: "",
+      name: "notifications_outbox",
+      type: "base",
+      system: false,
+
+      fields: [
+        {
+          autogeneratePattern: "[a-z0-9]{15}",
+          hidden: false,
+          id: "text3208210256",
+          max: 15,
+          min: 15,
+          name: "id",
+          pattern: "^[a-z0-9]+$",
+          presentable: false,
+          primaryKey: true,
+          required: true,
+          system: true,
+          type: "text"
+        },
+        {
+          cascadeDelete: true,
+          collectionId: "_pb_users_auth_",
+          hidden: false,
+          id: "relation1763101201",
+          maxSelect: 1,
+          minSelect: 0,
+          name: "user_id",
+          presentable: false,
+          required: true,
+          system: false,
+          type: "relation"
+        },
+        {
+          hidden: false,
+          id: "select1763101202",
+          maxSelect: 1,
+          name: "kind",
+          presentable: false,
+          required: true,
+          system: false,
+          type: "select",
+          values: ["workout_reminder", "period_reminder"]
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763101203",
+          max: 255,
+          min: 1,
+          name: "dedupe_key",
+          pattern: "",
+          presentable: false,
+          primaryKey: false,
+          required: true,
+          system: false,
+          type: "text"
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763101204",
+          max: 255,
+          min: 0,
+          name: "subject",
+          pattern: "",
+          presentable: true,
+          primaryKey: false,
+          required: false,
+          system: false,
+          type: "text"
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763101205",
+          max: 5000,
+          min: 0,
+          name: "body",
+          pattern: "",
+          presentable: false,
+          primaryKey: false,
+          required: false,
+          system: false,
+          type: "text"
+        },
+        {
+          hidden: false,
+          id: "json1763101206",
+          maxSize: 20000,
+          name: "payload",
+          presentable: false,
+          required: false,
+          system: false,
+          type: "json"
+        },
+        {
+          hidden: false,
+          id: "date1763101207",
+          max: "",
+          min: "",
+          name: "send_after",
+          presentable: false,
+          required: true,
+          system: false,
+          type: "date"
+        },
+        {
+          hidden: false,
+          id: "select1763101208",
+          maxSelect: 1,
+          name: "status",
+          presentable: false,
+          required: true,
+          system: false,
+          type: "select",
+          values: ["pending", "sent", "failed", "cancelled"]
+        },
+        {
+          hidden: false,
+          id: "select1763101209",
+          maxSelect: 1,
+          name: "channel",
+          presentable: false,
+          required: false,
+          system: false,
+          type: "select",
+          values: ["mail", "webhook", "log"]
+        },
+        {
+          hidden: false,
+          id: "number1763101210",
+          max: null,
+          min: 0,
+          name: "attempts",
+          noDecimal: true,
+          presentable: false,
+          required: false,
+          system: false,
+          type: "number"
+        },
+        {
+          autogeneratePattern: "",
+          hidden: false,
+          id: "text1763101211",
+          max: 2000,
+          min: 0,
+          name: "last_error",
+          pattern: "",
+          presentable: false,
+          primaryKey: false,
+          required: false,
+          system: false,
+          type: "text"
+        },
+        {
+          hidden: false,
+          id: "date1763101212",
+          max: "",
+          min: "",
+          name: "sent_at",
+          presentable: false,
+          required: false,
+          system: false,
+          type: "date"
+        },
+        {
+          hidden: false,
+          id: "autodate2990389176",
+          name: "created",
+          onCreate: true,
+          onUpdate: false,
+          presentable: false,
+          system: false,
+          type: "autodate"
+        },
+        {
+          hidden: false,
+          id: "autodate3332085495",
+          name: "updated",
+          onCreate: true,
+          onUpdate: true,
+          presentable: false,
+          system: false,
+          type: "autodate"
+        }
+      ],
+
+      indexes: [
+        "CREATE UNIQUE INDEX `idx_outbox_dedupe` ON `notifications_outbox` (`dedupe_key`)",
+        "CREATE INDEX `idx_outbox_status_send` ON `notifications_outbox` (`status`, `send_after`)",
+        "CREATE INDEX `idx_outbox_user` ON `notifications_outbox` (`user_id`)",
+      ],
+
+      listRule: "@request.auth.id != \"\" && user_id = @request.auth.id",
+      viewRule: "@request.auth.id != \"\" && user_id = @request.auth.id",
+      createRule: null,
+      updateRule: null,
+      deleteRule: null,
+    });
+
+    return app.save(collection);
+  },
+  (app) => {
+    const collection = app.findCollectionByNameOrId("notifications_outbox");
+    return app.delete(collection);
+  }
+);
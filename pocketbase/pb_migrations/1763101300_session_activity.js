@@ -0,0 +1,85 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Session Activity
+ *
+ * - workout_sessions.last_activity_at: stamped by pb_hooks/session_activity.pb.js
+ *   whenever the session's sets change. Open sessions start from `updated`.
+ * - workout_sessions.is_partial / workout_history.is_partial: set when an
+ *   abandoned session was finalized by the cleanup cron
+ * - user_preferences.abandoned_session_action: finalize (default when empty)
+ *   or discard sessions left idle for PB_SESSION_IDLE_HOURS
+ */
+
+migrate(
+  (app) => {
+    const sessions = app.findCollectionByNameOrId("workout_sessions");
+
+    sessions.fields.add(new DateField({
+      hidden: false,
+      id: "date1763101301",
+      max: "",
+      min: "",
+      name: "last_activity_at",
+      presentable: false,
+      required: false,
+      system: false,
+    }));
+
+    sessions.fields.add(new BoolField({
+      hidden: false,
+      id: "bool1763101302",
+      name: "is_partial",
+      presentable: false,
+      required: false,
+      system: false,
+    }));
+
+    sessions.addIndex("idx_sessions_open_activity", false, "`is_completed`, `last_activity_at`", "");
+    app.save(sessions);
+
+    app.db().newQuery(
+      "UPDATE `workout_sessions` SET `last_activity_at` = `updated` WHERE `is_completed` = FALSE"
+    ).execute();
+
+    const history = app.findCollectionByNameOrId("workout_history");
+    history.fields.add(new BoolField({
+      hidden: false,
+      id: "bool1763101303",
+      name: "is_partial",
+      presentable: false,
+      required: false,
+      system: false,
+    }));
+    app.save(history);
+
+    const preferences = app.findCollectionByNameOrId("user_preferences");
+    preferences.fields.add(new SelectField({
+      hidden: false,
+      id: "select1763101304",
+      maxSelect: 1,
+      name: "abandoned_session_action",
+      presentable: false,
+      required: false,
+      system: false,
+      values: ["finalize", "discard"],
+    }));
+
+    return app.save(preferences);
+  },
+  (app) => {
+    const preferences = app.findCollectionByNameOrId("user_preferences");
+    preferences.fields.removeByName("abandoned_session_action");
+    app.save(preferences);
+
+    const history = app.findCollectionByNameOrId("workout_history");
+    history.fields.removeByName("is_partial");
+    app.save(history);
+
+    const sessions = app.findCollectionByNameOrId("workout_sessions");
+    sessions.removeIndex("idx_sessions_open_activity");
+    sessions.fields.removeByName("last_activity_at");
+    sessions.fields.removeByName("is_partial");
+    return app.save(sessions);
+  }
+);
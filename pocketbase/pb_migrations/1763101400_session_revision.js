@@ -0,0 +1,36 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Session Revision
+ *
+ * Adds `revision` to workout_sessions. pb_hooks/session_activity.pb.js bumps
+ * it on every change to `exercise_data`, and
+ * PATCH /api/periolifts/sessions/{id}/sets rejects patches made against an
+ * older revision, so devices editing the same session can't overwrite each
+ * other's sets.
+ */
+
+migrate(
+  (app) => {
+    const collection = app.findCollectionByNameOrId("workout_sessions");
+
+    collection.fields.add(new NumberField({
+      hidden: false,
+      id: "number1763101401",
+      max: null,
+      min: 0,
+      name: "revision",
+      noDecimal: true,
+      presentable: false,
+      required: false,
+      system: false,
+    }));
+
+    return app.save(collection);
+  },
+  (app) => {
+    const collection = app.findCollectionByNameOrId("workout_sessions");
+    collection.fields.removeByName("revision");
+    return app.save(collection);
+  }
+);
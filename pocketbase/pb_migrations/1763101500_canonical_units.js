@@ -0,0 +1,285 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Canonical Units
+ *
+ * Weights were stored as entered, in whatever unit the user had selected.
+ * From now on they are stored in kg (body height in cm) and each record is
+ * stamped with `input_units` (metric or imperial), see pb_hooks/units.pb.js.
+ *
+ * Backfill: the unit of existing values is unknown, so the owner's current
+ * preferred_units is assumed. Rows of imperial users are converted from
+ * lbs/in and stamped imperial; everything else is stamped metric. Their
+ * personal_records (and the PR tags on their sessions) are converted too,
+ * with `rep_records` re-keyed by the converted weight. Rows are updated with
+ * plain SQL so no hooks run and `updated` is kept.
+ *
+ * Rollback converts the rows stamped imperial back and removes the fields.
+ * personal_records have no stamp: those of users whose preferences are
+ * stamped imperial are converted back.
+ */
+
+const KG_PER_LB = 0.45359237;
+const CM_PER_IN = 2.54;
+
+const SET_WEIGHT_KEYS = ["weight", "actual_weight", "actualWeight", "target_weight", "targetWeight"];
+const PERFORMANCE_WEIGHT_KEYS = ["volume", "top_weight", "best_e1rm"];
+const RECORD_WEIGHT_FIELDS = ["heaviest_weight", "best_e1rm", "best_volume"];
+
+// PR tag types whose value (and previous value) is a weight
+const WEIGHT_TAG_TYPES = ["heaviest_weight", "best_e1rm", "best_volume"];
+
+// input_units field id per collection
+const STAMPED_COLLECTIONS = {
+  workouts: "select1763101501",
+  workout_sessions: "select1763101502",
+  workout_history: "select1763101503",
+  user_preferences: "select1763101504",
+};
+
+function parseJSON(raw, fallback) {
+  try {
+    const value = JSON.parse(raw);
+    return value === null || value === undefined ? fallback : value;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function round(value, scale) {
+  return Math.round(value * scale) / scale;
+}
+
+/**
+ * lbs to kg with the fewest decimals (2 or 3) that convert back to the same
+ * value, like lib/units.js toKg.
+ */
+function lbsToKg(value) {
+  const lbs = round(value, 100);
+  for (const scale of [100, 1000]) {
+    const kg = round(value * KG_PER_LB, scale);
+    if (round(kg / KG_PER_LB, 100) === lbs) {
+      return kg;
+    }
+  }
+  return value * KG_PER_LB;
+}
+
+function kgToLbs(value) {
+  return round(value / KG_PER_LB, 100);
+}
+
+function scaleExercises(raw, convert) {
+  const list = parseJSON(raw, null);
+  if (!Array.isArray(list)) {
+    return raw;
+  }
+
+  for (const entry of list) {
+    if (!entry || typeof entry !== "object" || !Array.isArray(entry.sets)) {
+      continue;
+    }
+    for (const set of entry.sets) {
+      if (!set || typeof set !== "object") {
+        continue;
+      }
+      for (const key of SET_WEIGHT_KEYS) {
+        if (typeof set[key] === "number") {
+          set[key] = convert(set[key]);
+        }
+      }
+    }
+  }
+
+  return JSON.stringify(list);
+}
+
+function scalePerformance(raw, convert) {
+  const data = parseJSON(raw, null);
+  if (!data || typeof data !== "object" || !Array.isArray(data.exercises)) {
+    return raw;
+  }
+
+  for (const exercise of data.exercises) {
+    if (!exercise || typeof exercise !== "object") {
+      continue;
+    }
+    for (const key of PERFORMANCE_WEIGHT_KEYS) {
+      if (typeof exercise[key] === "number") {
+        exercise[key] = convert(exercise[key]);
+      }
+    }
+  }
+
+  return JSON.stringify(data);
+}
+
+function scaleTags(raw, convert) {
+  const tags = parseJSON(raw, null);
+  if (!Array.isArray(tags)) {
+    return raw;
+  }
+
+  for (const tag of tags) {
+    if (!tag || typeof tag !== "object") {
+      continue;
+    }
+    const keys = WEIGHT_TAG_TYPES.includes(tag.type) ? ["value", "previous"] : ["weight"];
+    for (const key of keys) {
+      if (typeof tag[key] === "number") {
+        tag[key] = convert(tag[key]);
+      }
+    }
+  }
+
+  return JSON.stringify(tags);
+}
+
+/**
+ * rep_records re-keyed by the converted weight (rounded to 0.01 like
+ * lib/personal_records.js); entries landing on the same key keep the most
+ * reps.
+ */
+function scaleRepRecords(raw, convert) {
+  const records = parseJSON(raw, null);
+  if (!records || typeof records !== "object" || Array.isArray(records)) {
+    return raw;
+  }
+
+  const scaled = {};
+  for (const [weight, entry] of Object.entries(records)) {
+    const value = parseFloat(weight);
+    const key = isNaN(value) ? weight : String(round(convert(value), 100));
+    const reps = entry && typeof entry === "object" ? entry.reps || 0 : 0;
+    if (!scaled[key] || reps > (scaled[key].reps || 0)) {
+      scaled[key] = entry;
+    }
+  }
+
+  return JSON.stringify(scaled);
+}
+
+// Rows owned by users whose preferred_units is imperial (backfill)
+const IMPERIAL_OWNER = "user_id IN (SELECT user_id FROM user_preferences WHERE preferred_units = 'imperial')";
+
+// Rows stamped imperial (rollback; preferred_units may have changed since)
+const IMPERIAL_STAMP = "input_units = 'imperial'";
+
+// personal_records of users whose preferences are stamped imperial (rollback)
+const IMPERIAL_STAMPED_OWNER = "user_id IN (SELECT user_id FROM user_preferences WHERE input_units = 'imperial')";
+
+function jsonRows(app, table, field, where) {
+  const rows = arrayOf(new DynamicModel({ id: "", value: "" }));
+  app.db().newQuery(
+    `SELECT id, COALESCE(${field}, '') AS value FROM ${table} WHERE ${where}`
+  ).all(rows);
+  return rows;
+}
+
+function convertPersonalRecords(app, where, weight) {
+  const rows = arrayOf(new DynamicModel({
+    id: "",
+    heaviest_weight: -0,
+    best_e1rm: -0,
+    best_volume: -0,
+    rep_records: "",
+  }));
+  app.db().newQuery(`
+    SELECT id, heaviest_weight, best_e1rm, best_volume, COALESCE(rep_records, '') AS rep_records
+    FROM personal_records WHERE ${where}
+  `).all(rows);
+
+  for (const row of rows) {
+    const values = { id: row.id, rep_records: scaleRepRecords(row.rep_records, weight) };
+    for (const field of RECORD_WEIGHT_FIELDS) {
+      values[field] = weight(row[field]);
+    }
+    app.db().newQuery(`
+      UPDATE personal_records
+      SET heaviest_weight = {:heaviest_weight}, best_e1rm = {:best_e1rm},
+        best_volume = {:best_volume}, rep_records = {:rep_records}
+      WHERE id = {:id}
+    `).bind(values).execute();
+  }
+}
+
+/**
+ * Converts the weights and height of the rows matching `where` (and
+ * `preferencesWhere` for user_preferences, `recordsWhere` for
+ * personal_records) to kg/cm, or back to lbs/in when `toCanonical` is false.
+ */
+function convertImperialRows(app, where, preferencesWhere, recordsWhere, toCanonical) {
+  const weight = toCanonical ? lbsToKg : kgToLbs;
+  const weightFactor = toCanonical ? KG_PER_LB : 1 / KG_PER_LB;
+  const lengthFactor = toCanonical ? CM_PER_IN : 1 / CM_PER_IN;
+
+  for (const row of jsonRows(app, "workouts", "exercises", where)) {
+    app.db().newQuery("UPDATE `workouts` SET `exercises` = {:value} WHERE `id` = {:id}")
+      .bind({ id: row.id, value: scaleExercises(row.value, weight) }).execute();
+  }
+
+  for (const row of jsonRows(app, "workout_sessions", "exercise_data", where)) {
+    app.db().newQuery("UPDATE `workout_sessions` SET `exercise_data` = {:value} WHERE `id` = {:id}")
+      .bind({ id: row.id, value: scaleExercises(row.value, weight) }).execute();
+  }
+
+  for (const row of jsonRows(app, "workout_sessions", "personal_records", where)) {
+    app.db().newQuery("UPDATE `workout_sessions` SET `personal_records` = {:value} WHERE `id` = {:id}")
+      .bind({ id: row.id, value: scaleTags(row.value, weight) }).execute();
+  }
+
+  convertPersonalRecords(app, recordsWhere, weight);
+
+  for (const row of jsonRows(app, "workout_history", "performance_data", where)) {
+    app.db().newQuery(
+      "UPDATE `workout_history` SET `performance_data` = {:value}, `total_weight` = ROUND(`total_weight` * {:factor}, 2) WHERE `id` = {:id}"
+    ).bind({ id: row.id, value: scalePerformance(row.value, weight), factor: weightFactor }).execute();
+  }
+
+  app.db().newQuery(
+    `UPDATE user_preferences SET weight = ROUND(weight * {:weight}, 2), height = ROUND(height * {:length}, 2) WHERE ${preferencesWhere}`
+  ).bind({ weight: weightFactor, length: lengthFactor }).execute();
+}
+
+migrate(
+  (app) => {
+    for (const [name, id] of Object.entries(STAMPED_COLLECTIONS)) {
+      const collection = app.findCollectionByNameOrId(name);
+      collection.fields.add(new SelectField({
+        hidden: false,
+        id: id,
+        maxSelect: 1,
+        name: "input_units",
+        presentable: false,
+        required: false,
+        system: false,
+        values: ["metric", "imperial"],
+      }));
+      app.save(collection);
+    }
+
+    convertImperialRows(app, IMPERIAL_OWNER, "preferred_units = 'imperial'", IMPERIAL_OWNER, true);
+
+    for (const name of ["workouts", "workout_sessions", "workout_history"]) {
+      app.db().newQuery(
+        `UPDATE ${name} SET input_units = CASE WHEN ${IMPERIAL_OWNER} THEN 'imperial' ELSE 'metric' END`
+      ).execute();
+    }
+    app.db().newQuery(
+      "UPDATE user_preferences SET input_units = CASE WHEN preferred_units = 'imperial' THEN 'imperial' ELSE 'metric' END"
+    ).execute();
+
+    return null;
+  },
+  (app) => {
+    convertImperialRows(app, IMPERIAL_STAMP, IMPERIAL_STAMP, IMPERIAL_STAMPED_OWNER, false);
+
+    for (const name of Object.keys(STAMPED_COLLECTIONS)) {
+      const collection = app.findCollectionByNameOrId(name);
+      collection.fields.removeByName("input_units");
+      app.save(collection);
+    }
+
+    return null;
+  }
+);
@@ -0,0 +1,39 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Unique workout_history per session
+ *
+ * workout_history rows are written by the session completion hook and
+ * upserted by `workout_session_id`; nothing stopped a second row for the same
+ * session though. Existing duplicates are removed (the most recently updated
+ * row is kept) and a unique index on `workout_session_id` is added. Rows
+ * without a session (posted by the app itself) are not affected.
+ */
+
+migrate(
+  (app) => {
+    app.db().newQuery(`
+      DELETE FROM workout_history
+      WHERE workout_session_id != ''
+        AND id NOT IN (
+          SELECT id FROM (
+            SELECT id, ROW_NUMBER() OVER (
+              PARTITION BY workout_session_id ORDER BY updated DESC, id DESC
+            ) AS position
+            FROM workout_history
+            WHERE workout_session_id != ''
+          )
+          WHERE position = 1
+        )
+    `).execute();
+
+    const collection = app.findCollectionByNameOrId("workout_history");
+    collection.addIndex("idx_history_session_unique", true, "`workout_session_id`", "`workout_session_id` != ''");
+    return app.save(collection);
+  },
+  (app) => {
+    const collection = app.findCollectionByNameOrId("workout_history");
+    collection.removeIndex("idx_history_session_unique");
+    return app.save(collection);
+  }
+);